@@ -0,0 +1,65 @@
+"use client";
+/**
+ * Next.js integration, for the App Router and the Pages Router.
+ *
+ *   // app/layout.js
+ *   <LiftpilotProvider options={{ url: "https://api.example.com" }}>
+ *     <PageViewTracker />
+ *     {children}
+ *   </LiftpilotProvider>
+ *
+ * With the Pages Router call usePagesRouterTracking() in pages/_app.js
+ * instead of rendering PageViewTracker.
+ * @module adapters/next
+ */
+import { Suspense, createElement, useEffect, useState } from "react";
+import { usePathname, useSearchParams } from "next/navigation";
+import { useRouter } from "next/router";
+import { useNavigationTracking } from "./reactHooks.js";
+
+export {
+  LiftpilotProvider,
+  useLiftpilotReady,
+  useNavigationTracking,
+  useTrack,
+  usePersonalization,
+} from "./reactHooks.js";
+
+function AppRouterTracker() {
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  useNavigationTracking(`${pathname}?${searchParams.toString()}`);
+  return null;
+}
+
+/**
+ * Page view tracking for the App Router. useSearchParams() needs a Suspense
+ * boundary, so the tracker brings its own.
+ * @returns {Object}
+ */
+export function PageViewTracker() {
+  return createElement(
+    Suspense,
+    { fallback: null },
+    createElement(AppRouterTracker),
+  );
+}
+
+/**
+ * Page view tracking for the Pages Router, from its routeChangeComplete
+ * events. Call it in pages/_app.js.
+ */
+export function usePagesRouterTracking() {
+  const router = useRouter();
+  const [path, setPath] = useState(router.asPath);
+
+  useEffect(() => {
+    const handleRouteChange = (url) => setPath(url);
+    router.events.on("routeChangeComplete", handleRouteChange);
+    return () => {
+      router.events.off("routeChangeComplete", handleRouteChange);
+    };
+  }, [router.events]);
+
+  useNavigationTracking(path);
+}
@@ -0,0 +1,35 @@
+/**
+ * React integration: a provider that initializes the tracker, page view
+ * tracking for React Router, and hooks for events and personalization.
+ *
+ *   <LiftpilotProvider options={{ url: "https://api.example.com" }}>
+ *     <BrowserRouter>
+ *       <PageViewTracker />
+ *       <App />
+ *     </BrowserRouter>
+ *   </LiftpilotProvider>
+ *
+ * @module adapters/react
+ */
+import { useLocation } from "react-router";
+import { useNavigationTracking } from "./reactHooks.js";
+
+export {
+  LiftpilotProvider,
+  useLiftpilotReady,
+  useNavigationTracking,
+  useTrack,
+  usePersonalization,
+} from "./reactHooks.js";
+
+/**
+ * Page view tracking for React Router. Render it inside the router.
+ * @returns {null}
+ */
+export function PageViewTracker() {
+  const location = useLocation();
+  useNavigationTracking(
+    `${location.pathname}${location.search}${location.hash}`,
+  );
+  return null;
+}
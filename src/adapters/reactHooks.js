@@ -0,0 +1,104 @@
+/**
+ * React provider and hooks shared by the React and Next.js adapters. Only
+ * depends on react, router integrations live in the adapters.
+ * @module adapters/reactHooks
+ */
+import {
+  createContext,
+  createElement,
+  useCallback,
+  useContext,
+  useEffect,
+  useState,
+} from "react";
+import {
+  getPersonalization,
+  onPersonalization,
+} from "../components/trackerCore.js";
+import { initTracker, track, handleNavigation } from "./shared.js";
+
+const LiftpilotContext = createContext({ ready: false });
+
+/**
+ * Initialize the tracker for the wrapped tree.
+ * @param {{options: Object, children?: any}} props - options are passed to
+ * init(), set `personalize: false` to skip fetching personalization
+ */
+export function LiftpilotProvider({ options, children }) {
+  const [ready, setReady] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    initTracker(options)
+      .then(() => {
+        if (active) setReady(true);
+      })
+      .catch(() => {
+        // Logged by initTracker()
+      });
+    return () => {
+      active = false;
+    };
+    // The tracker is initialized once, later option changes are ignored
+  }, []);
+
+  return createElement(
+    LiftpilotContext.Provider,
+    { value: { ready } },
+    children,
+  );
+}
+
+/**
+ * @returns {boolean} True once the tracker is initialized
+ */
+export function useLiftpilotReady() {
+  return useContext(LiftpilotContext).ready;
+}
+
+/**
+ * Track a page view, and re-apply personalization, whenever the location
+ * changes. Call it from a component rendered inside the router.
+ * @param {string} locationKey - Changes with every navigation, e.g.
+ * pathname + search + hash
+ */
+export function useNavigationTracking(locationKey) {
+  const ready = useLiftpilotReady();
+
+  useEffect(() => {
+    // Effects run after the new route has rendered
+    if (ready) handleNavigation();
+  }, [ready, locationKey]);
+}
+
+/**
+ * @returns {function(string, any=): Promise<any>} A stable function sending
+ * custom events
+ */
+export function useTrack() {
+  return useCallback(
+    (name, data) =>
+      track(name, data).catch((error) => {
+        console.error(`Event "${name}" tracking failed:`, error);
+      }),
+    [],
+  );
+}
+
+/**
+ * Read a personalization value, re-rendering when new data arrives.
+ * @param {string} key - A personalization key, e.g. "hero-title"
+ * @returns {any} Undefined until personalization data is received
+ */
+export function usePersonalization(key) {
+  const [value, setValue] = useState(() => getPersonalization(key));
+
+  useEffect(() => {
+    setValue(getPersonalization(key));
+    return onPersonalization((personalization) => {
+      setValue(personalization[key]);
+    });
+  }, [key]);
+
+  return value;
+}
@@ -0,0 +1,79 @@
+/**
+ * Tracker lifecycle shared by the framework adapters.
+ * @module adapters/shared
+ */
+import {
+  init,
+  sendEvent,
+  personalize,
+  trackPageView,
+} from "../components/trackerCore.js";
+
+let _ready = null;
+let _trackPageViews = true;
+
+/**
+ * Initialize the tracker once, however many times a provider or plugin is
+ * mounted (e.g. React StrictMode, hot reloading). Page views are tracked from
+ * the router rather than by patching history.
+ * @param {Object} options - init() options, plus `personalize: false` to
+ * skip fetching personalization
+ * @returns {Promise<void>}
+ */
+export function initTracker(options = {}) {
+  if (_ready) return _ready;
+
+  const { personalize: shouldPersonalize = true, ...initOptions } = options;
+  const autoTrack =
+    initOptions.autoTrack === false
+      ? false
+      : { ...(initOptions.autoTrack || {}), pageViews: false };
+  _trackPageViews =
+    initOptions.autoTrack !== false &&
+    !(initOptions.autoTrack && initOptions.autoTrack.pageViews === false);
+
+  _ready = init({ ...initOptions, autoTrack }).then(() => {
+    if (shouldPersonalize) {
+      personalize().catch(() => {
+        // personalize() already logs its errors
+      });
+    }
+  });
+  _ready.catch((error) => {
+    console.error("Liftpilot initialization failed:", error);
+    _ready = null;
+  });
+  return _ready;
+}
+
+/**
+ * Send an event once the tracker is initialized.
+ * @param {string} name
+ * @param {any} [data]
+ * @returns {Promise<any>}
+ */
+export function track(name, data) {
+  if (!_ready) {
+    return Promise.reject(
+      new Error("Liftpilot is not initialized. Add the provider or plugin."),
+    );
+  }
+  return _ready.then(() => sendEvent(name, data));
+}
+
+/**
+ * Call after a client-side navigation has rendered to track the page view.
+ * The page view also re-applies personalization to the new route.
+ */
+export function handleNavigation() {
+  if (!_ready) return;
+  _ready
+    .then(() => {
+      if (_trackPageViews) {
+        trackPageView();
+      }
+    })
+    .catch(() => {
+      // Initialization errors are logged by initTracker()
+    });
+}
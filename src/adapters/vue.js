@@ -0,0 +1,75 @@
+/**
+ * Vue integration: a plugin that initializes the tracker and tracks Vue
+ * Router navigations, and composables for events and personalization.
+ *
+ *   app.use(createLiftpilot({ url: "https://api.example.com" }), { router });
+ *
+ * @module adapters/vue
+ */
+import { getCurrentInstance, nextTick, onUnmounted, ref } from "vue";
+import {
+  getPersonalization,
+  onPersonalization,
+} from "../components/trackerCore.js";
+import { initTracker, track, handleNavigation } from "./shared.js";
+
+/**
+ * Create the Vue plugin.
+ * @param {Object} options - init() options, set `personalize: false` to
+ * skip fetching personalization
+ * @returns {{install: function(Object, {router?: Object}=): void}}
+ */
+export function createLiftpilot(options) {
+  return {
+    install(app, { router } = {}) {
+      const ready = initTracker(options);
+
+      if (router) {
+        // afterEach runs before the new route renders, wait for the DOM update
+        router.afterEach((to, from, failure) => {
+          if (failure) return;
+          nextTick(handleNavigation);
+        });
+        ready
+          .then(() => router.isReady())
+          .then(() => nextTick(handleNavigation))
+          .catch((error) => {
+            console.error("Liftpilot initial page view failed:", error);
+          });
+      }
+
+      app.config.globalProperties.$lpTrack = trackEvent;
+    },
+  };
+}
+
+function trackEvent(name, data) {
+  return track(name, data).catch((error) => {
+    console.error(`Event "${name}" tracking failed:`, error);
+  });
+}
+
+/**
+ * @returns {function(string, any=): Promise<any>} A function sending custom
+ * events
+ */
+export function useTrack() {
+  return trackEvent;
+}
+
+/**
+ * Read a personalization value as a ref, updated when new data arrives.
+ * @param {string} key - A personalization key, e.g. "hero-title"
+ * @returns {import("vue").Ref<any>} Undefined until personalization data is
+ * received
+ */
+export function usePersonalization(key) {
+  const value = ref(getPersonalization(key));
+  const unsubscribe = onPersonalization((personalization) => {
+    value.value = personalization[key];
+  });
+  if (getCurrentInstance()) {
+    onUnmounted(unsubscribe);
+  }
+  return value;
+}
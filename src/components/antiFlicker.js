@@ -0,0 +1,179 @@
+import { sendEvent } from "./trackerCore.js";
+import { normalizeUrl } from "./urlNormalizer.js";
+import {
+  ALL_PERSONALIZATION_ATTRIBUTES,
+  PERSONALIZATION_SELECTOR,
+  PERSONALIZATION_FLAG,
+  PERSONALIZATION_PENDING_ATTRIBUTE,
+} from "../constants.js";
+
+// Class on <html> while personalized elements are hidden
+const PERSONALIZING_CLASS = "lp-personalizing";
+const STYLE_ID = "lp-anti-flicker";
+
+const DEFAULT_OPTIONS = {
+  strategy: "hide",
+  hardTimeoutMs: 3000,
+  fadeMs: 200,
+  placeholderClass: "lp-placeholder",
+  reportTiming: false,
+};
+
+let _options = DEFAULT_OPTIONS;
+let _hardTimer = null;
+let _settled = false;
+const _startedAt = Date.now();
+
+// Time since navigation start, so the metric includes loading the script
+function now() {
+  return window.performance && performance.now
+    ? performance.now()
+    : Date.now() - _startedAt;
+}
+
+function buildStyles() {
+  const pending = ALL_PERSONALIZATION_ATTRIBUTES.map(
+    (attr) => `[${attr}]:not([${PERSONALIZATION_FLAG}="true"])`,
+  );
+  const hidden = pending.map(
+    (selector) => `.${PERSONALIZING_CLASS} ${selector}`,
+  );
+  // Elements rendered later stay hidden on their own once this has settled
+  hidden.push(
+    `[${PERSONALIZATION_PENDING_ATTRIBUTE}]:not([${PERSONALIZATION_FLAG}="true"])`,
+  );
+
+  let styles = `${hidden.join(",\n")} {
+  opacity: 0 !important;
+}`;
+  if (_options.fadeMs > 0) {
+    styles += `
+@media (prefers-reduced-motion: no-preference) {
+  ${PERSONALIZATION_SELECTOR} {
+    transition: opacity ${_options.fadeMs}ms ease-in;
+  }
+}`;
+  }
+  return styles;
+}
+
+function renderStyles() {
+  let style = document.getElementById(STYLE_ID);
+  if (_options.strategy !== "hide") {
+    if (style) style.parentNode.removeChild(style);
+    document.documentElement.classList.remove(PERSONALIZING_CLASS);
+    return;
+  }
+
+  if (!style) {
+    style = document.createElement("style");
+    style.id = STYLE_ID;
+    (document.head || document.documentElement).appendChild(style);
+  }
+  style.textContent = buildStyles();
+  if (!_settled) {
+    document.documentElement.classList.add(PERSONALIZING_CLASS);
+  }
+}
+
+function scheduleHardTimeout() {
+  if (_hardTimer) {
+    clearTimeout(_hardTimer);
+    _hardTimer = null;
+  }
+  if (_settled || !_options.hardTimeoutMs) return;
+
+  _hardTimer = setTimeout(
+    () => settleAntiFlicker("timeout"),
+    Math.max(0, _options.hardTimeoutMs - now()),
+  );
+}
+
+/**
+ * Hide personalized elements until personalization settles. Runs when the
+ * script loads, before init(), so the original content never flashes.
+ */
+export function startAntiFlicker() {
+  try {
+    renderStyles();
+    scheduleHardTimeout();
+  } catch (error) {
+    console.error("Error setting up anti-flicker styles:", error);
+  }
+}
+
+/**
+ * Configure the anti-flicker strategy.
+ * - "hide": elements are transparent until personalized, then fade in
+ *   (without a transition under prefers-reduced-motion)
+ * - "placeholder": elements stay visible with placeholderClass, e.g. for a
+ *   skeleton style
+ * - "none": elements are never hidden
+ * After hardTimeoutMs (counted from navigation start) the original content
+ * is shown whatever happens. reportTiming (off by default) sends a
+ * personalization_timing event once personalization settles.
+ * @param {{
+ *   strategy?: "hide"|"placeholder"|"none",
+ *   hardTimeoutMs?: number,
+ *   fadeMs?: number,
+ *   placeholderClass?: string,
+ *   reportTiming?: boolean,
+ * }} [options]
+ */
+export function configureAntiFlicker(options = {}) {
+  _options = { ...DEFAULT_OPTIONS, ...options };
+  startAntiFlicker();
+}
+
+/**
+ * @returns {string|null} The class for elements waiting for personalization,
+ * null unless the placeholder strategy is used and it hasn't settled yet
+ */
+export function getPlaceholderClass() {
+  return _options.strategy === "placeholder" && !_settled
+    ? _options.placeholderClass
+    : null;
+}
+
+/**
+ * Reveal hidden content and report the time to personalize. Only the first
+ * call per page load counts.
+ * @param {"applied"|"cached"|"failed"|"no_consent"|"timeout"} outcome
+ */
+export function settleAntiFlicker(outcome) {
+  if (_settled) return;
+
+  const placeholderClass = getPlaceholderClass();
+  _settled = true;
+
+  if (_hardTimer) {
+    clearTimeout(_hardTimer);
+    _hardTimer = null;
+  }
+  document.documentElement.classList.remove(PERSONALIZING_CLASS);
+  // Everything on the page now is revealed, only later elements wait
+  document
+    .querySelectorAll(`[${PERSONALIZATION_PENDING_ATTRIBUTE}]`)
+    .forEach((el) => el.removeAttribute(PERSONALIZATION_PENDING_ATTRIBUTE));
+  if (placeholderClass) {
+    document.querySelectorAll(`.${placeholderClass}`).forEach((el) => {
+      el.classList.remove(placeholderClass);
+    });
+  }
+
+  // Pages without personalized elements have nothing to report
+  const elementCount = document.querySelectorAll(
+    PERSONALIZATION_SELECTOR,
+  ).length;
+  if (_options.reportTiming && elementCount) {
+    sendEvent("personalization_timing", {
+      durationMs: Math.round(now()),
+      outcome,
+      strategy: _options.strategy,
+      elementCount,
+      uri: normalizeUrl(),
+    }).catch(() => {
+      // Not initialized yet or not sent, the metric is best effort
+    });
+  }
+}
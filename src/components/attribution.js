@@ -0,0 +1,313 @@
+/**
+ * Campaign attribution: UTM parameters, ad click IDs and the referrer of the
+ * landing page, kept as first-touch and last-touch in localStorage, or
+ * sessionStorage while a GPC/DNT signal is honored. A first-party cookie
+ * holds the main fields as a fallback, e.g. for other subdomains or when
+ * storage is unavailable.
+ * @module attribution
+ */
+import { getCookie, setCookie } from "./cookie.js";
+import { canPersist } from "./consent.js";
+import { getStorage } from "./storage.js";
+import { getActivePrivacySignal, getCookieOptions } from "./privacySignals.js";
+import { normalizeUrl } from "./urlNormalizer.js";
+import {
+  FIRST_TOUCH_COOKIE_NAME,
+  LAST_TOUCH_COOKIE_NAME,
+} from "../constants.js";
+
+const UTM_PARAMS = [
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_term",
+  "utm_content",
+  "utm_id",
+];
+const CLICK_ID_PARAMS = [
+  "gclid",
+  "gbraid",
+  "wbraid",
+  "dclid",
+  "fbclid",
+  "msclkid",
+  "li_fat_id",
+  "ttclid",
+  "twclid",
+];
+
+// Matched against the end of the referrer hostname
+const SEARCH_DOMAINS = [
+  "google",
+  "bing.com",
+  "yahoo.com",
+  "duckduckgo.com",
+  "baidu.com",
+  "yandex.ru",
+  "yandex.com",
+  "ecosia.org",
+  "ask.com",
+  "qwant.com",
+  "search.brave.com",
+];
+const SOCIAL_DOMAINS = [
+  "facebook.com",
+  "fb.com",
+  "instagram.com",
+  "t.co",
+  "twitter.com",
+  "x.com",
+  "linkedin.com",
+  "lnkd.in",
+  "pinterest.com",
+  "reddit.com",
+  "youtube.com",
+  "tiktok.com",
+  "threads.net",
+];
+const EMAIL_DOMAINS = [
+  "mail.google.com",
+  "outlook.live.com",
+  "outlook.office.com",
+  "mail.yahoo.com",
+  "mail.proton.me",
+];
+
+// Longest value kept per field, to keep the cookies small
+const MAX_VALUE_LENGTH = 100;
+// Fields kept in the fallback cookie, the full touch only goes to localStorage
+const COOKIE_FIELDS = [
+  "source",
+  "medium",
+  "campaign",
+  "referrerType",
+  "timestamp",
+];
+
+let _memoryTouches = { firstTouch: null, lastTouch: null };
+// document.referrer doesn't change on SPA route changes: only count it once
+let _referrerCaptured = false;
+let _capturedCampaignKey = "";
+
+function truncate(value) {
+  return value ? String(value).slice(0, MAX_VALUE_LENGTH) : null;
+}
+
+// Helper to check whether hostname is domain or one of its subdomains
+function matchesDomain(hostname, domain) {
+  // "google" matches every Google country domain (google.de, google.co.uk...)
+  if (domain.indexOf(".") === -1) {
+    return new RegExp(`(^|\\.)${domain}\\.[a-z.]+$`).test(hostname);
+  }
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Classify a referrer URL.
+ * @param {string} referrer
+ * @returns {"direct"|"internal"|"email"|"search"|"social"|"referral"}
+ */
+function classifyReferrer(referrer) {
+  if (!referrer) return "direct";
+
+  let hostname;
+  try {
+    hostname = new URL(referrer).hostname.toLowerCase();
+  } catch {
+    return "direct";
+  }
+
+  const isDomain = (domain) => matchesDomain(hostname, domain);
+  if (hostname === window.location.hostname.toLowerCase()) return "internal";
+  // Webmail before search: mail.google.com would otherwise count as Google
+  if (EMAIL_DOMAINS.some(isDomain)) return "email";
+  if (SEARCH_DOMAINS.some(isDomain)) return "search";
+  if (SOCIAL_DOMAINS.some(isDomain)) return "social";
+  return "referral";
+}
+
+function getParams(names) {
+  const values = {};
+  try {
+    const params = new URLSearchParams(window.location.search);
+    names.forEach((name) => {
+      const value = params.get(name);
+      if (value) {
+        values[name] = truncate(value);
+      }
+    });
+  } catch {
+    // Malformed query string, nothing to attribute
+  }
+  return values;
+}
+
+/**
+ * Get a stable key for the campaign parameters of the current URL, empty
+ * when there are none.
+ * @returns {string}
+ */
+function getCampaignKey() {
+  const params = getParams([...UTM_PARAMS, ...CLICK_ID_PARAMS]);
+  return Object.keys(params)
+    .sort()
+    .map((name) => `${name}=${params[name]}`)
+    .join("&");
+}
+
+// Medium implied by the referrer when there is no utm_medium
+const REFERRER_MEDIUMS = {
+  direct: "(none)",
+  search: "organic",
+  social: "social",
+  email: "email",
+  referral: "referral",
+};
+
+// Build the touch for the current page view
+function getCurrentTouch() {
+  const utm = getParams(UTM_PARAMS);
+  const clickIds = getParams(CLICK_ID_PARAMS);
+  const referrer = document.referrer || "";
+  const referrerType = classifyReferrer(referrer);
+
+  let referrerHost = null;
+  if (referrer) {
+    try {
+      referrerHost = new URL(referrer).hostname;
+    } catch {
+      // Keep null
+    }
+  }
+
+  return {
+    source: utm.utm_source || referrerHost || "(direct)",
+    medium:
+      utm.utm_medium ||
+      (Object.keys(clickIds).length ? "cpc" : REFERRER_MEDIUMS[referrerType]),
+    campaign: utm.utm_campaign || null,
+    term: utm.utm_term || null,
+    content: utm.utm_content || null,
+    campaignId: utm.utm_id || null,
+    clickIds,
+    referrer: truncate(referrer),
+    referrerType,
+    landingPage: normalizeUrl(),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Session-only while an opt-out signal is honored, like the cookies
+function getTouchStorage() {
+  return getStorage(
+    getActivePrivacySignal() ? "sessionStorage" : "localStorage",
+  );
+}
+
+function parseTouch(raw) {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// The full touch from storage, else the fields kept in the cookie
+function readTouch(name) {
+  const storage = getTouchStorage();
+  let stored = null;
+  if (storage) {
+    try {
+      stored = parseTouch(storage.getItem(name));
+    } catch {
+      // Blocked, use the cookie
+    }
+  }
+  return stored || parseTouch(getCookie(name));
+}
+
+function writeTouch(name, touch) {
+  if (getActivePrivacySignal()) {
+    // Drop what was kept before the signal was honored
+    const local = getStorage();
+    try {
+      if (local) local.removeItem(name);
+    } catch {
+      // Blocked, nothing was kept then
+    }
+  }
+
+  const storage = getTouchStorage();
+  if (storage) {
+    try {
+      storage.setItem(name, JSON.stringify(touch));
+    } catch (error) {
+      console.warn("Failed to store attribution:", error);
+    }
+  }
+
+  const fields = {};
+  COOKIE_FIELDS.forEach((field) => {
+    fields[field] = touch[field] === undefined ? null : touch[field];
+  });
+  setCookie(name, JSON.stringify(fields), getCookieOptions());
+}
+
+/**
+ * Record the attribution of the current page view. First-touch is kept
+ * forever, last-touch is replaced by every new campaign or external
+ * referrer. Internal navigations and direct visits don't overwrite it.
+ * Safe to call again for the same page view.
+ */
+function captureAttribution() {
+  try {
+    const persist = canPersist();
+    const touch = getCurrentTouch();
+    const campaignKey = getCampaignKey();
+    const hasCampaign =
+      campaignKey !== "" && campaignKey !== _capturedCampaignKey;
+    _capturedCampaignKey = campaignKey;
+    const isExternal =
+      !_referrerCaptured &&
+      touch.referrerType !== "internal" &&
+      touch.referrerType !== "direct";
+    _referrerCaptured = true;
+
+    const stored = persist
+      ? {
+          firstTouch: readTouch(FIRST_TOUCH_COOKIE_NAME),
+          lastTouch: readTouch(LAST_TOUCH_COOKIE_NAME),
+        }
+      : {};
+    const firstTouch = stored.firstTouch || _memoryTouches.firstTouch || touch;
+    let lastTouch = stored.lastTouch || _memoryTouches.lastTouch;
+    if (!lastTouch || hasCampaign || isExternal) {
+      lastTouch = touch;
+    }
+
+    _memoryTouches = { firstTouch, lastTouch };
+    if (persist) {
+      writeTouch(FIRST_TOUCH_COOKIE_NAME, firstTouch);
+      writeTouch(LAST_TOUCH_COOKIE_NAME, lastTouch);
+    }
+  } catch (error) {
+    console.error("Error capturing attribution:", error);
+  }
+}
+
+/**
+ * Get the first-touch and last-touch attribution.
+ * @returns {{firstTouch: Object|null, lastTouch: Object|null}}
+ */
+function getAttribution() {
+  if (canPersist()) {
+    return {
+      firstTouch:
+        readTouch(FIRST_TOUCH_COOKIE_NAME) || _memoryTouches.firstTouch,
+      lastTouch: readTouch(LAST_TOUCH_COOKIE_NAME) || _memoryTouches.lastTouch,
+    };
+  }
+  return { ..._memoryTouches };
+}
+
+export { classifyReferrer, getCampaignKey, captureAttribution, getAttribution };
@@ -1,10 +1,40 @@
 import { sendEvent } from "./trackerCore.js";
+import { isIgnored, isMasked, maskValue } from "./optOut.js";
+import { closestMatching, getCssSelector, getXPath } from "./domUtils.js";
+import { REGION_ATTRIBUTE } from "../constants.js";
 
 let _initialized = false;
 let _cleanup = null;
 let _lastClickTime = 0;
 let _lastClickElement = null;
 
+// Landmark elements (and their ARIA roles) used to locate a click on the page
+const LANDMARK_SELECTORS = [
+  "header",
+  "nav",
+  "main",
+  "aside",
+  "footer",
+  "section",
+  "form",
+  '[role="banner"]',
+  '[role="navigation"]',
+  '[role="main"]',
+  '[role="complementary"]',
+  '[role="contentinfo"]',
+  '[role="region"]',
+];
+const LANDMARK_ROLES = {
+  banner: "header",
+  navigation: "nav",
+  main: "main",
+  complementary: "aside",
+  contentinfo: "footer",
+  region: "section",
+};
+const DOWNLOAD_EXTENSIONS =
+  /\.(pdf|zip|rar|7z|gz|tar|dmg|exe|msi|apk|csv|xlsx?|docx?|pptx?|txt|rtf|odt|ods|mp3|mp4|mov|avi)$/i;
+
 // Helper function to check if element is clickable (anchor or button)
 function isClickableElement(element) {
   if (!element || !element.tagName) return false;
@@ -35,8 +65,65 @@ function getElementText(element) {
   return text;
 }
 
+// Helper function to get the nearest landmark (header, nav, footer...)
+function getLandmark(element) {
+  const landmark = closestMatching(element.parentElement, LANDMARK_SELECTORS);
+  if (!landmark) return null;
+
+  const role = landmark.getAttribute("role");
+  return {
+    type: LANDMARK_ROLES[role] || landmark.tagName.toLowerCase(),
+    id: landmark.id || null,
+  };
+}
+
+// Helper function to get the nearest data-lp-region name
+function getRegion(element) {
+  const region = closestMatching(element, `[${REGION_ATTRIBUTE}]`);
+  return region ? region.getAttribute(REGION_ATTRIBUTE) || null : null;
+}
+
+// Helper function to get the element position among its siblings
+function getSiblingIndex(element) {
+  return element.parentElement
+    ? Array.prototype.indexOf.call(element.parentElement.children, element)
+    : 0;
+}
+
+// Helper function to classify links as outbound and/or downloads
+function getLinkData(element) {
+  let url;
+  try {
+    url = new URL(element.href, window.location.href);
+  } catch {
+    return { isOutbound: false, isDownload: false };
+  }
+
+  return {
+    isOutbound:
+      /^https?:$/.test(url.protocol) &&
+      url.hostname !== window.location.hostname,
+    isDownload:
+      element.hasAttribute("download") ||
+      DOWNLOAD_EXTENSIONS.test(url.pathname),
+  };
+}
+
+// Helper function to get click coordinates (synthetic touch clicks have none)
+function getClickPosition(event) {
+  if (!event || typeof event.clientX !== "number") return null;
+  return {
+    viewportX: Math.round(event.clientX),
+    viewportY: Math.round(event.clientY),
+    pageX: Math.round(event.pageX),
+    pageY: Math.round(event.pageY),
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight,
+  };
+}
+
 // Helper function to get element attributes
-function getElementData(element) {
+function getElementData(element, event) {
   if (!element) return null;
   const tagName = element.tagName.toLowerCase();
   let elementType = "unknown";
@@ -46,16 +133,31 @@ function getElementData(element) {
   if (tagName === "a") {
     elementType = "link";
   }
+  const text = getElementText(element);
   const data = {
     elementType,
-    textContent: getElementText(element),
+    textContent: isMasked(element) ? maskValue(text) : text,
   };
   if (tagName === "a") {
     data.href = element.href || null;
+    if (element.href) {
+      Object.assign(data, getLinkData(element));
+    }
   }
   if (element.id) {
     data.id = element.id || null;
   }
+
+  data.selector = getCssSelector(element);
+  data.xpath = getXPath(element);
+  data.landmark = getLandmark(element);
+  data.region = getRegion(element);
+  data.siblingIndex = getSiblingIndex(element);
+
+  const position = getClickPosition(event);
+  if (position) {
+    data.position = position;
+  }
   return data;
 }
 
@@ -81,7 +183,7 @@ function _trackClick(event) {
     }
 
     // If no clickable element found, don't track
-    if (!targetElement) {
+    if (!targetElement || isIgnored(targetElement)) {
       return;
     }
 
@@ -95,7 +197,7 @@ function _trackClick(event) {
     _lastClickElement = targetElement;
 
     // Get element data
-    const elementData = getElementData(targetElement);
+    const elementData = getElementData(targetElement, event);
 
     // Send the tracking event
     sendEvent("click_event", elementData).catch((err) => {
@@ -0,0 +1,227 @@
+/**
+ * Consent state for the tracker, optionally driven by the IAB TCF v2 API
+ * (`__tcfapi`) and Google Consent Mode (`dataLayer`).
+ * @module consent
+ */
+
+const CONSENT_CATEGORIES = ["analytics", "personalization", "fingerprint"];
+
+// TCF v2 purposes: 1 store/access information on a device, 5/6 personalised
+// content, 8 measure content performance, 9 market research, 10 improve products
+const TCF_ANALYTICS_PURPOSES = [8, 9, 10];
+const TCF_PERSONALIZATION_PURPOSES = [5, 6];
+// TCF v2 special feature 2: actively scan device characteristics
+const TCF_FINGERPRINT_FEATURE = 2;
+
+// Each category is true (granted), false (denied) or null (pending)
+let _state = { analytics: true, personalization: true, fingerprint: true };
+// Categories set by setConsent() or a CMP, kept when the tracker is set up
+let _decided = {};
+let _listeners = [];
+let _tcfListenerId = null;
+let _originalDataLayerPush = null;
+
+function notify(previous) {
+  const changed = CONSENT_CATEGORIES.some(
+    (category) => previous[category] !== _state[category],
+  );
+  if (!changed) return;
+
+  _listeners.forEach((listener) => {
+    try {
+      listener({ ..._state }, previous);
+    } catch (error) {
+      console.error("Consent listener failed:", error);
+    }
+  });
+}
+
+/**
+ * Update one or more consent categories.
+ * @param {{analytics?: boolean, personalization?: boolean, fingerprint?: boolean}} consent
+ */
+function setConsent(consent) {
+  if (!consent || typeof consent !== "object") {
+    throw new Error("setConsent requires an object of consent categories");
+  }
+
+  const previous = { ..._state };
+  CONSENT_CATEGORIES.forEach((category) => {
+    if (typeof consent[category] === "boolean") {
+      _state[category] = consent[category];
+      _decided[category] = true;
+    }
+  });
+  notify(previous);
+}
+
+/**
+ * Get the current consent state.
+ * @returns {{analytics: boolean|null, personalization: boolean|null, fingerprint: boolean|null}}
+ */
+function getConsent() {
+  return { ..._state };
+}
+
+/**
+ * @param {"analytics"|"personalization"|"fingerprint"} category
+ * @returns {boolean} True if the category has been granted
+ */
+function hasConsent(category) {
+  return _state[category] === true;
+}
+
+/**
+ * Cookies and storage may only be written once analytics or personalization
+ * is granted.
+ * @returns {boolean}
+ */
+function canPersist() {
+  return hasConsent("analytics") || hasConsent("personalization");
+}
+
+/**
+ * @param {"analytics"|"personalization"|"fingerprint"} category
+ * @returns {boolean} True if no decision has been made for the category yet
+ */
+function isConsentPending(category) {
+  return _state[category] === null;
+}
+
+/**
+ * Register a listener called with (state, previousState) on every change.
+ * @param {function(Object, Object): void} listener
+ * @returns {function(): void} Unsubscribe function
+ */
+function onConsentChange(listener) {
+  _listeners.push(listener);
+  return () => {
+    _listeners = _listeners.filter((item) => item !== listener);
+  };
+}
+
+// Map a TCF v2 TCData object onto our categories
+function applyTcfData(tcData) {
+  if (tcData.gdprApplies === false) {
+    setConsent({ analytics: true, personalization: true, fingerprint: true });
+    return;
+  }
+
+  const purposes = (tcData.purpose && tcData.purpose.consents) || {};
+  const specialFeatures = tcData.specialFeatureOptins || {};
+  const canStore = purposes[1] === true;
+
+  setConsent({
+    analytics:
+      canStore && TCF_ANALYTICS_PURPOSES.some((id) => purposes[id] === true),
+    personalization:
+      canStore &&
+      TCF_PERSONALIZATION_PURPOSES.some((id) => purposes[id] === true),
+    fingerprint: specialFeatures[TCF_FINGERPRINT_FEATURE] === true,
+  });
+}
+
+function setupTcfConsent() {
+  if (typeof window.__tcfapi !== "function" || _tcfListenerId !== null) {
+    return;
+  }
+
+  try {
+    window.__tcfapi("addEventListener", 2, (tcData, success) => {
+      if (!success || !tcData) return;
+      _tcfListenerId = tcData.listenerId;
+      // "cmpuishown" means the user has not decided yet
+      if (
+        tcData.eventStatus === "tcloaded" ||
+        tcData.eventStatus === "useractioncomplete"
+      ) {
+        applyTcfData(tcData);
+      }
+    });
+  } catch (error) {
+    console.warn("Failed to read TCF consent:", error);
+  }
+}
+
+// Map a Google Consent Mode command (`gtag("consent", ...)`) onto our categories
+function applyGoogleConsentCommand(entry) {
+  if (!entry || entry[0] !== "consent") return;
+  if (entry[1] !== "default" && entry[1] !== "update") return;
+
+  const settings = entry[2] || {};
+  const toBoolean = (value) =>
+    value === "granted" ? true : value === "denied" ? false : undefined;
+
+  setConsent({
+    analytics: toBoolean(settings.analytics_storage),
+    personalization: toBoolean(settings.personalization_storage),
+  });
+}
+
+function setupGoogleConsentMode() {
+  if (_originalDataLayerPush || !Array.isArray(window.dataLayer)) return;
+
+  const dataLayer = window.dataLayer;
+  dataLayer.forEach(applyGoogleConsentCommand);
+
+  // Watch for consent updates pushed after the tracker was loaded
+  _originalDataLayerPush = dataLayer.push;
+  dataLayer.push = function (...args) {
+    const result = _originalDataLayerPush.apply(this, args);
+    args.forEach(applyGoogleConsentCommand);
+    return result;
+  };
+}
+
+/**
+ * Configure consent handling.
+ * @param {Object} [options]
+ * @param {"granted"|"pending"} [options.mode="granted"] - "pending" holds every
+ * category until setConsent() or a CMP signal decides it. Decisions made
+ * before setup are kept.
+ * @param {boolean} [options.tcf=true] - Read consent from `__tcfapi` when present
+ * @param {boolean} [options.googleConsentMode=true] - Read consent from `dataLayer` when present
+ */
+function setupConsent(options = {}) {
+  const initial = options.mode === "pending" ? null : true;
+  // The mode only applies to categories not decided yet, e.g. by a CMP
+  // callback calling setConsent() before init()
+  CONSENT_CATEGORIES.forEach((category) => {
+    if (!_decided[category]) {
+      _state[category] = initial;
+    }
+  });
+
+  if (options.tcf !== false) {
+    setupTcfConsent();
+  }
+  if (options.googleConsentMode !== false) {
+    setupGoogleConsentMode();
+  }
+}
+
+/**
+ * Stop listening to CMP signals.
+ */
+function cleanupConsent() {
+  if (_tcfListenerId !== null && typeof window.__tcfapi === "function") {
+    window.__tcfapi("removeEventListener", 2, () => {}, _tcfListenerId);
+  }
+  _tcfListenerId = null;
+
+  if (_originalDataLayerPush && Array.isArray(window.dataLayer)) {
+    window.dataLayer.push = _originalDataLayerPush;
+  }
+  _originalDataLayerPush = null;
+}
+
+export {
+  setupConsent,
+  cleanupConsent,
+  setConsent,
+  getConsent,
+  hasConsent,
+  canPersist,
+  isConsentPending,
+  onConsentChange,
+};
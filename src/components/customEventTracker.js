@@ -0,0 +1,165 @@
+import { sendEvent } from "./trackerCore.js";
+import { closestMatching } from "./domUtils.js";
+import { isIgnored } from "./optOut.js";
+import { observeView, isViewObserverSupported } from "./viewObserver.js";
+import {
+  EVENT_ATTRIBUTE,
+  EVENT_PROPERTY_PREFIX,
+  EVENT_TRIGGER_ATTRIBUTE,
+} from "../constants.js";
+
+let _initialized = false;
+let _cleanup = null;
+let _viewedElements = new WeakSet();
+let _unobserveViews = [];
+let _lastClickTime = 0;
+let _lastClickElement = null;
+
+// Helper to get the trigger of a declarative event element
+// Forms default to "submit", everything else to "click"
+function getTrigger(element) {
+  const trigger = element.getAttribute(EVENT_TRIGGER_ATTRIBUTE);
+  if (trigger) return trigger.trim().toLowerCase();
+  return element.tagName === "FORM" ? "submit" : "click";
+}
+
+// Helper to turn "plan-name" into "planName"
+function toCamelCase(name) {
+  return name.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+// Collect data-lp-prop-* attributes as event properties
+function getEventProperties(element) {
+  const properties = {};
+  Array.from(element.attributes).forEach((attribute) => {
+    if (attribute.name.indexOf(EVENT_PROPERTY_PREFIX) === 0) {
+      const key = toCamelCase(
+        attribute.name.slice(EVENT_PROPERTY_PREFIX.length),
+      );
+      if (key) {
+        properties[key] = attribute.value;
+      }
+    }
+  });
+  return properties;
+}
+
+function sendDeclarativeEvent(element, trigger) {
+  const name = (element.getAttribute(EVENT_ATTRIBUTE) || "").trim();
+  if (!name || isIgnored(element)) return;
+
+  sendEvent(name, { ...getEventProperties(element), trigger }).catch((err) => {
+    console.error(`Custom event "${name}" tracking failed:`, err);
+  });
+}
+
+// Send the declarative event of the nearest data-lp-event element with a
+// click trigger
+function trackDeclarativeClick(event) {
+  const timestamp = Date.now();
+  let element = closestMatching(event.target, `[${EVENT_ATTRIBUTE}]`);
+  // Skip e.g. a view-triggered section around the clicked element
+  while (element && getTrigger(element) !== "click") {
+    element = closestMatching(element.parentElement, `[${EVENT_ATTRIBUTE}]`);
+  }
+
+  // Same 300ms duplicate window as click tracking, e.g. double clicks
+  if (
+    !element ||
+    (element === _lastClickElement && timestamp - _lastClickTime < 300)
+  ) {
+    return;
+  }
+  _lastClickTime = timestamp;
+  _lastClickElement = element;
+
+  sendDeclarativeEvent(element, "click");
+}
+
+// Watch an element with a view trigger, once per element
+function watchView(element) {
+  if (_viewedElements.has(element) || getTrigger(element) !== "view") return;
+  _viewedElements.add(element);
+
+  _unobserveViews.push(
+    observeView(element, { threshold: 0.5 }, () => {
+      sendDeclarativeEvent(element, "view");
+    }),
+  );
+}
+
+function watchViewsIn(root) {
+  if (root.nodeType !== Node.ELEMENT_NODE) return;
+
+  if (root.hasAttribute(EVENT_ATTRIBUTE)) {
+    watchView(root);
+  }
+  root.querySelectorAll(`[${EVENT_ATTRIBUTE}]`).forEach(watchView);
+}
+
+// Setup declarative custom event tracking
+export function setupCustomEventTracking() {
+  if (_initialized) return;
+
+  try {
+    const options = { capture: true };
+
+    // Its own listener: click triggers don't depend on the clicks module
+    document.addEventListener("click", trackDeclarativeClick, options);
+
+    const handleSubmit = (e) => {
+      const form = e.target;
+      if (!(form instanceof HTMLFormElement)) return;
+      if (form.hasAttribute(EVENT_ATTRIBUTE) && getTrigger(form) === "submit") {
+        sendDeclarativeEvent(form, "submit");
+      }
+    };
+    document.addEventListener("submit", handleSubmit, options);
+
+    // Same pattern as form tracking: pick up elements rendered later on
+    let observer = null;
+    if (isViewObserverSupported()) {
+      observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+          mutation.addedNodes.forEach(watchViewsIn);
+        });
+      });
+      observer.observe(document.body, { childList: true, subtree: true });
+      watchViewsIn(document.body);
+    } else {
+      console.warn(
+        'data-lp-trigger="view" requires IntersectionObserver support.',
+      );
+    }
+
+    _initialized = true;
+
+    _cleanup = () => {
+      if (!_initialized) return;
+      document.removeEventListener("click", trackDeclarativeClick, options);
+      document.removeEventListener("submit", handleSubmit, options);
+      if (observer) {
+        observer.disconnect();
+      }
+      _unobserveViews.forEach((unobserve) => unobserve());
+      _unobserveViews = [];
+      _viewedElements = new WeakSet();
+      _lastClickTime = 0;
+      _lastClickElement = null;
+      _initialized = false;
+      _cleanup = null;
+    };
+  } catch (error) {
+    console.error("Error setting up custom event tracking:", error);
+    if (_cleanup) {
+      _cleanup();
+    }
+  }
+}
+
+// Cleanup declarative custom event tracking
+export function cleanupCustomEventTracking() {
+  if (_cleanup) {
+    _cleanup();
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Personalization directives beyond copy, src and href: attributes, classes,
+ * style variables, visibility, order and sanitized HTML.
+ *
+ *   "hero-cta": {
+ *     copy: "Start your trial",
+ *     attributes: { "aria-label": "Start your free trial" },
+ *     addClass: "btn-primary",
+ *     removeClass: ["btn-secondary"],
+ *     style: { "--cta-color": "#0a7" },
+ *     visible: true,
+ *     order: 0,
+ *   }
+ *
+ * @module directives
+ */
+import { sanitizeHtml, isSafeUrl } from "./sanitizer.js";
+import { renderTemplate } from "./templates.js";
+
+// Attributes content may change, besides aria-* and data-* attributes
+const SAFE_ATTRIBUTES = [
+  "alt",
+  "title",
+  "placeholder",
+  "srcset",
+  "sizes",
+  "width",
+  "height",
+  "loading",
+  "lang",
+  "dir",
+  "target",
+  "rel",
+  "src",
+  "href",
+  "poster",
+];
+const URL_ATTRIBUTES = ["src", "href", "poster"];
+
+function isSafeAttribute(name) {
+  if (name.indexOf("aria-") === 0) return true;
+  // data-lp-* attributes drive the tracker itself
+  if (name.indexOf("data-") === 0) return name.indexOf("data-lp-") !== 0;
+  return SAFE_ATTRIBUTES.indexOf(name) !== -1;
+}
+
+function setAttributes(el, attributes) {
+  Object.keys(attributes).forEach((rawName) => {
+    const name = rawName.toLowerCase();
+    const value =
+      typeof attributes[rawName] === "string"
+        ? renderTemplate(attributes[rawName])
+        : attributes[rawName];
+    if (!isSafeAttribute(name)) {
+      console.warn(`Personalization attribute "${name}" is not allowed.`);
+      return;
+    }
+    if (value === null || value === false) {
+      el.removeAttribute(name);
+    } else if (URL_ATTRIBUTES.indexOf(name) !== -1 && !isSafeUrl(value)) {
+      console.warn(`Unsafe URL for personalization attribute "${name}".`);
+    } else {
+      el.setAttribute(name, value === true ? "" : String(value));
+    }
+  });
+}
+
+// Accept "a b", ["a", "b"]
+function toClassList(value) {
+  const classes = Array.isArray(value) ? value : String(value).split(/\s+/);
+  return classes.filter(Boolean);
+}
+
+// Only CSS custom properties: the page's CSS decides where they apply
+function setStyleVariables(el, style) {
+  Object.keys(style).forEach((name) => {
+    if (name.indexOf("--") !== 0) {
+      console.warn(
+        `Personalization style "${name}" is not a CSS variable (--name).`,
+      );
+      return;
+    }
+    if (style[name] === null) {
+      el.style.removeProperty(name);
+    } else {
+      el.style.setProperty(name, String(style[name]));
+    }
+  });
+}
+
+// Move el to position index among its parent's element children
+function moveTo(el, index) {
+  const parent = el.parentElement;
+  if (!parent || typeof index !== "number") return;
+
+  const siblings = Array.from(parent.children).filter((item) => item !== el);
+  const position = Math.max(0, Math.min(index, siblings.length));
+  // Moving an element already in place would still notify observers
+  if (Array.from(parent.children).indexOf(el) === position) return;
+  parent.insertBefore(el, siblings[position] || null);
+}
+
+function setHtml(el, html) {
+  // Trait values are escaped, they are text and not markup
+  const fragment = sanitizeHtml(renderTemplate(html, { html: true }));
+  while (el.firstChild) {
+    el.removeChild(el.firstChild);
+  }
+  el.appendChild(fragment);
+}
+
+/**
+ * Apply one directive of a personalization value to an element.
+ * @param {Element} el
+ * @param {string} name - Directive name, e.g. "addClass"
+ * @param {any} value
+ * @returns {boolean} False if the directive is unknown
+ */
+function applyDirective(el, name, value) {
+  switch (name) {
+    case "attributes":
+      setAttributes(el, value || {});
+      return true;
+    case "addClass":
+      toClassList(value).forEach((item) => el.classList.add(item));
+      return true;
+    case "removeClass":
+      toClassList(value).forEach((item) => el.classList.remove(item));
+      return true;
+    case "style":
+      setStyleVariables(el, value || {});
+      return true;
+    case "visible":
+      // hidden alone loses against display rules of the page's CSS
+      el.hidden = !value;
+      if (!value) {
+        el.style.setProperty("display", "none", "important");
+      } else if (el.style.display === "none") {
+        el.style.removeProperty("display");
+      }
+      return true;
+    case "order":
+      moveTo(el, value);
+      return true;
+    case "html":
+      setHtml(el, value);
+      return true;
+    default:
+      // Shorthand for attributes, e.g. { alt: "..." }
+      if (isSafeAttribute(name.toLowerCase())) {
+        setAttributes(el, { [name]: value });
+        return true;
+      }
+      return false;
+  }
+}
+
+export { applyDirective };
@@ -0,0 +1,116 @@
+/**
+ * Small DOM helpers shared by the trackers (IE11 has no Element.closest).
+ * @module domUtils
+ */
+
+/**
+ * Check an element against one or more CSS selectors.
+ * @param {Element} element
+ * @param {string|string[]} selectors
+ * @returns {boolean}
+ */
+function matchesSelector(element, selectors) {
+  if (!element || element.nodeType !== 1 || !selectors) return false;
+
+  const matches =
+    element.matches ||
+    element.msMatchesSelector ||
+    element.webkitMatchesSelector;
+  if (!matches) return false;
+
+  const list = Array.isArray(selectors) ? selectors : [selectors];
+  return list.some((selector) => {
+    try {
+      return matches.call(element, selector);
+    } catch {
+      console.warn(`Invalid selector: ${selector}`);
+      return false;
+    }
+  });
+}
+
+/**
+ * Find the element itself or its nearest ancestor matching a selector.
+ * @param {Element} element
+ * @param {string|string[]} selectors
+ * @returns {Element|null}
+ */
+function closestMatching(element, selectors) {
+  let current = element;
+  while (current && current.nodeType === 1) {
+    if (matchesSelector(current, selectors)) {
+      return current;
+    }
+    current = current.parentElement;
+  }
+  return null;
+}
+
+// Position of an element among siblings with the same tag, starting at 1
+function getTypeIndex(element) {
+  let index = 1;
+  let sibling = element.previousElementSibling;
+  while (sibling) {
+    if (sibling.tagName === element.tagName) index++;
+    sibling = sibling.previousElementSibling;
+  }
+  return index;
+}
+
+function hasSameTypeSiblings(element) {
+  const parent = element.parentElement;
+  if (!parent) return false;
+  return Array.from(parent.children).some(
+    (child) => child !== element && child.tagName === element.tagName,
+  );
+}
+
+function escapeId(id) {
+  return window.CSS && CSS.escape ? CSS.escape(id) : id;
+}
+
+/**
+ * Build a CSS selector for an element, anchored on the nearest ancestor
+ * with an id (e.g. "#pricing > div:nth-of-type(2) > a").
+ * @param {Element} element
+ * @returns {string}
+ */
+function getCssSelector(element) {
+  const parts = [];
+  let current = element;
+  while (current && current.nodeType === 1) {
+    if (current.id) {
+      parts.unshift(`#${escapeId(current.id)}`);
+      break;
+    }
+    const tag = current.tagName.toLowerCase();
+    if (tag === "html" || tag === "body") {
+      parts.unshift(tag);
+      break;
+    }
+    parts.unshift(
+      hasSameTypeSiblings(current)
+        ? `${tag}:nth-of-type(${getTypeIndex(current)})`
+        : tag,
+    );
+    current = current.parentElement;
+  }
+  return parts.join(" > ");
+}
+
+/**
+ * Build an absolute XPath for an element (e.g. "/html/body/div[2]/a[1]").
+ * @param {Element} element
+ * @returns {string}
+ */
+function getXPath(element) {
+  const parts = [];
+  let current = element;
+  while (current && current.nodeType === 1) {
+    parts.unshift(`${current.tagName.toLowerCase()}[${getTypeIndex(current)}]`);
+    current = current.parentElement;
+  }
+  return `/${parts.join("/")}`;
+}
+
+export { matchesSelector, closestMatching, getCssSelector, getXPath };
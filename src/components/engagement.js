@@ -0,0 +1,164 @@
+/**
+ * Engagement clock: measures the time the page was actually in use (visible,
+ * focused and not idle) next to the total time since it was opened.
+ * @module engagement
+ */
+
+const DEFAULT_IDLE_TIMEOUT_MS = 30000;
+const ACTIVITY_EVENTS = [
+  "mousemove",
+  "mousedown",
+  "keydown",
+  "scroll",
+  "touchstart",
+  "wheel",
+];
+// Activity events fire constantly, only look at them this often
+const ACTIVITY_THROTTLE_MS = 1000;
+
+let _initialized = false;
+let _cleanup = null;
+let _startedAt = 0;
+let _activeMs = 0;
+let _activeSince = null;
+let _lastActivityAt = 0;
+let _idleTimer = null;
+let _idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS;
+let _isFocused = true;
+
+function isVisible() {
+  return document.visibilityState !== "hidden";
+}
+
+// Close the running active period, if any
+function pause(at = Date.now()) {
+  if (_activeSince !== null) {
+    _activeMs += Math.max(0, at - _activeSince);
+    _activeSince = null;
+  }
+}
+
+function resume() {
+  if (_activeSince === null && isVisible() && _isFocused) {
+    _activeSince = Date.now();
+  }
+}
+
+function scheduleIdle() {
+  if (_idleTimer) {
+    clearTimeout(_idleTimer);
+  }
+  _idleTimer = setTimeout(() => {
+    _idleTimer = null;
+    pause();
+  }, _idleTimeoutMs);
+}
+
+function handleActivity() {
+  const now = Date.now();
+  if (now - _lastActivityAt < ACTIVITY_THROTTLE_MS && _activeSince !== null) {
+    return;
+  }
+  _lastActivityAt = now;
+  resume();
+  scheduleIdle();
+}
+
+/**
+ * Get the engagement totals since the clock was started.
+ * @returns {{activeMs: number, totalMs: number, isEngaged: boolean}}
+ */
+function getEngagement() {
+  const now = Date.now();
+  const running = _activeSince !== null ? now - _activeSince : 0;
+  return {
+    activeMs: Math.round(_activeMs + running),
+    totalMs: _initialized ? now - _startedAt : 0,
+    isEngaged: _activeSince !== null,
+  };
+}
+
+/**
+ * Start the engagement clock.
+ * @param {{idleTimeoutMs?: number}} [options]
+ */
+function startEngagement(options = {}) {
+  if (_initialized) return;
+
+  try {
+    _idleTimeoutMs = options.idleTimeoutMs || DEFAULT_IDLE_TIMEOUT_MS;
+    _startedAt = Date.now();
+    _activeMs = 0;
+    _activeSince = null;
+    _isFocused =
+      typeof document.hasFocus === "function" ? document.hasFocus() : true;
+
+    const handleVisibilityChange = () => {
+      if (isVisible()) {
+        handleActivity();
+      } else {
+        pause();
+      }
+    };
+    const handleFocus = () => {
+      _isFocused = true;
+      handleActivity();
+    };
+    const handleBlur = () => {
+      _isFocused = false;
+      pause();
+    };
+
+    const listenerOptions = { capture: true, passive: true };
+    ACTIVITY_EVENTS.forEach((type) => {
+      document.addEventListener(type, handleActivity, listenerOptions);
+    });
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    window.addEventListener("focus", handleFocus);
+    window.addEventListener("blur", handleBlur);
+
+    _initialized = true;
+    // Opening the page counts as activity
+    handleActivity();
+
+    _cleanup = () => {
+      if (!_initialized) return;
+      ACTIVITY_EVENTS.forEach((type) => {
+        document.removeEventListener(type, handleActivity, listenerOptions);
+      });
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("focus", handleFocus);
+      window.removeEventListener("blur", handleBlur);
+      if (_idleTimer) {
+        clearTimeout(_idleTimer);
+        _idleTimer = null;
+      }
+      pause();
+      _initialized = false;
+      _cleanup = null;
+    };
+  } catch (error) {
+    console.error("Error starting engagement clock:", error);
+    if (_cleanup) {
+      _cleanup();
+    }
+  }
+}
+
+/**
+ * Stop the engagement clock.
+ */
+function stopEngagement() {
+  if (_cleanup) {
+    _cleanup();
+  }
+}
+
+/**
+ * @returns {boolean} True while the clock is running
+ */
+function isEngagementRunning() {
+  return _initialized;
+}
+
+export { startEngagement, stopEngagement, getEngagement, isEngagementRunning };
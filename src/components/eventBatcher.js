@@ -0,0 +1,111 @@
+/**
+ * Coalesces event payloads into batches flushed by size or time window.
+ * @module eventBatcher
+ */
+
+const DEFAULT_OPTIONS = {
+  maxSize: 20,
+  windowMs: 1000,
+};
+
+let _options = { ...DEFAULT_OPTIONS };
+let _buffer = [];
+let _flushTimer = null;
+let _sendBatch = null;
+
+/**
+ * Configure batching and register the function that delivers a batch.
+ * @param {function(Array<Object>): Promise<Array<{status: string, reason?: any}>>} sendBatch -
+ * Delivers the payloads and resolves with one settled result per payload
+ * (same shape as Promise.allSettled)
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=20] - Flush as soon as this many events are buffered
+ * @param {number} [options.windowMs=1000] - Flush this long after the first buffered event
+ */
+function setupBatching(sendBatch, options = {}) {
+  _sendBatch = sendBatch;
+  _options = { ...DEFAULT_OPTIONS, ...options };
+}
+
+/**
+ * Add a payload to the current batch.
+ * @param {{name: string, value: Object}} payload
+ * @returns {Promise<void>} Settles once the batch holding the payload is delivered
+ */
+function addToBatch(payload) {
+  return new Promise((resolve, reject) => {
+    _buffer.push({ payload, resolve, reject });
+
+    if (_buffer.length >= _options.maxSize) {
+      flushBatch();
+    } else if (!_flushTimer) {
+      _flushTimer = setTimeout(flushBatch, _options.windowMs);
+    }
+  });
+}
+
+/**
+ * Remove and return every buffered entry without sending it.
+ * @returns {Array<{payload: Object, resolve: function, reject: function}>}
+ */
+function takeBatch() {
+  if (_flushTimer) {
+    clearTimeout(_flushTimer);
+    _flushTimer = null;
+  }
+  const entries = _buffer;
+  _buffer = [];
+  return entries;
+}
+
+/**
+ * Deliver entries previously removed with takeBatch() and settle their promises.
+ * @param {Array<{payload: Object, resolve: function, reject: function}>} entries
+ * @returns {Promise<void>}
+ */
+async function sendEntries(entries) {
+  if (!entries.length || !_sendBatch) return;
+
+  let results;
+  try {
+    results = await _sendBatch(entries.map((entry) => entry.payload));
+  } catch (error) {
+    entries.forEach((entry) => entry.reject(error));
+    return;
+  }
+
+  entries.forEach((entry, index) => {
+    const result = results[index];
+    if (result && result.status === "rejected") {
+      entry.reject(result.reason);
+    } else {
+      entry.resolve();
+    }
+  });
+}
+
+/**
+ * Send the buffered events now.
+ * @returns {Promise<void>}
+ */
+function flushBatch() {
+  return sendEntries(takeBatch());
+}
+
+/**
+ * Stop batching. Buffered events are flushed first.
+ * @returns {Promise<void>}
+ */
+async function cleanupBatching() {
+  await flushBatch();
+  _sendBatch = null;
+}
+
+export {
+  setupBatching,
+  addToBatch,
+  takeBatch,
+  sendEntries,
+  flushBatch,
+  cleanupBatching,
+};
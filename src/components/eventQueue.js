@@ -0,0 +1,365 @@
+/**
+ * Durable queue for events that could not be delivered.
+ * Entries are persisted in localStorage (in-memory fallback) so they survive
+ * page reloads, and are retried with exponential backoff and jitter.
+ * @module eventQueue
+ */
+import { generateId } from "./idGenerator.js";
+import { EVENT_QUEUE_STORAGE_KEY } from "../constants.js";
+
+const DEFAULT_OPTIONS = {
+  maxSize: 100,
+  maxAgeMs: 24 * 60 * 60 * 1000,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  maxAttempts: 10,
+};
+
+// Only one tab drains the shared queue, it holds the lease while delivering
+const LOCK_KEY = `${EVENT_QUEUE_STORAGE_KEY}_lock`;
+const LOCK_LEASE_MS = 10000;
+
+let _options = { ...DEFAULT_OPTIONS };
+let _memoryQueue = [];
+let _deliver = null;
+let _retryTimer = null;
+let _retryAttempt = 0;
+let _nextRetryAt = null;
+let _isDraining = false;
+let _onlineHandler = null;
+let _storageAvailable = null;
+const _tabId = generateId();
+const _stats = {
+  enqueued: 0,
+  delivered: 0,
+  dropped: 0,
+  expired: 0,
+  retries: 0,
+};
+
+// Helper to check whether localStorage can be used (private mode, quotas...),
+// checked once per page
+function hasStorage() {
+  if (_storageAvailable !== null) return _storageAvailable;
+  try {
+    const testKey = `${EVENT_QUEUE_STORAGE_KEY}_test`;
+    window.localStorage.setItem(testKey, "1");
+    window.localStorage.removeItem(testKey);
+    _storageAvailable = true;
+  } catch {
+    _storageAvailable = false;
+  }
+  return _storageAvailable;
+}
+
+function loadQueue() {
+  if (!hasStorage()) {
+    return _memoryQueue.slice();
+  }
+  try {
+    const raw = window.localStorage.getItem(EVENT_QUEUE_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveQueue(queue) {
+  _memoryQueue = queue.slice();
+  if (!hasStorage()) return;
+  try {
+    if (queue.length) {
+      window.localStorage.setItem(
+        EVENT_QUEUE_STORAGE_KEY,
+        JSON.stringify(queue),
+      );
+    } else {
+      window.localStorage.removeItem(EVENT_QUEUE_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn("Failed to persist event queue:", error);
+  }
+}
+
+// Drop entries older than maxAgeMs and trim the oldest ones above maxSize
+function pruneQueue(queue) {
+  const now = Date.now();
+  const fresh = queue.filter(
+    (entry) => now - entry.createdAt <= _options.maxAgeMs,
+  );
+  _stats.expired += queue.length - fresh.length;
+
+  const overflow = fresh.length - _options.maxSize;
+  if (overflow > 0) {
+    _stats.dropped += overflow;
+    return fresh.slice(overflow);
+  }
+  return fresh;
+}
+
+function readLease() {
+  try {
+    return JSON.parse(window.localStorage.getItem(LOCK_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+// Take or renew the lease unless another tab holds an unexpired one
+function acquireLease() {
+  const lease = readLease();
+  if (lease && lease.owner !== _tabId && lease.expiresAt > Date.now()) {
+    return false;
+  }
+  try {
+    window.localStorage.setItem(
+      LOCK_KEY,
+      JSON.stringify({ owner: _tabId, expiresAt: Date.now() + LOCK_LEASE_MS }),
+    );
+  } catch {
+    return true;
+  }
+  // Two tabs may have written at once, the last write wins
+  const stored = readLease();
+  return !stored || stored.owner === _tabId;
+}
+
+function releaseLease() {
+  const lease = readLease();
+  if (lease && lease.owner === _tabId) {
+    try {
+      window.localStorage.removeItem(LOCK_KEY);
+    } catch {
+      // Expires on its own
+    }
+  }
+}
+
+// Run drain(renew) while holding the cross-tab lock. Resolves to false when
+// another tab holds it. renew() extends the lease and returns false once it
+// has been lost.
+function withQueueLock(drain) {
+  // The in-memory queue belongs to this tab
+  if (!hasStorage()) {
+    return drain(() => true).then(() => true);
+  }
+
+  if (typeof navigator !== "undefined" && navigator.locks) {
+    return navigator.locks.request(LOCK_KEY, { ifAvailable: true }, (lock) =>
+      lock ? drain(() => true).then(() => true) : false,
+    );
+  }
+
+  if (!acquireLease()) return Promise.resolve(false);
+  return drain(acquireLease).then(
+    () => {
+      releaseLease();
+      return true;
+    },
+    (error) => {
+      releaseLease();
+      throw error;
+    },
+  );
+}
+
+function isOnline() {
+  return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+// Exponential backoff with jitter, capped at maxDelayMs
+function getRetryDelay(attempt) {
+  const delay = Math.min(
+    _options.maxDelayMs,
+    _options.baseDelayMs * Math.pow(2, attempt),
+  );
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+function scheduleRetry() {
+  if (_retryTimer || !_deliver) return;
+
+  const delay = getRetryDelay(_retryAttempt);
+  _nextRetryAt = Date.now() + delay;
+  _retryTimer = setTimeout(() => {
+    _retryTimer = null;
+    _nextRetryAt = null;
+    drainEventQueue();
+  }, delay);
+}
+
+function clearRetry() {
+  if (_retryTimer) {
+    clearTimeout(_retryTimer);
+    _retryTimer = null;
+  }
+  _nextRetryAt = null;
+}
+
+/**
+ * Configure queue limits and backoff timings.
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=100] - Maximum number of queued events
+ * @param {number} [options.maxAgeMs=86400000] - Events older than this are dropped
+ * @param {number} [options.baseDelayMs=1000] - Initial retry delay
+ * @param {number} [options.maxDelayMs=60000] - Upper bound for the retry delay
+ * @param {number} [options.maxAttempts=10] - Events failing this many times are dropped
+ */
+function configureQueue(options = {}) {
+  _options = { ...DEFAULT_OPTIONS, ...options };
+}
+
+/**
+ * Persist an event payload for later delivery.
+ * @param {{name: string, value: Object}} payload
+ */
+function enqueueEvent(payload) {
+  const queue = loadQueue();
+  queue.push({
+    id: generateId(),
+    createdAt: Date.now(),
+    attempts: 0,
+    payload: {
+      ...payload,
+      value: { ...payload.value, queuedAt: new Date().toISOString() },
+    },
+  });
+  _stats.enqueued++;
+  saveQueue(pruneQueue(queue));
+
+  if (isOnline()) {
+    scheduleRetry();
+  }
+}
+
+// Deliver the queued events in order, as long as renew() keeps the lock
+async function drainQueue(renew) {
+  let queue = pruneQueue(loadQueue());
+  saveQueue(queue);
+
+  while (queue.length) {
+    // Stopped meanwhile, e.g. analytics consent was withdrawn
+    if (!_deliver || !renew()) return;
+
+    const entry = queue[0];
+    try {
+      await _deliver(entry.payload);
+      _stats.delivered++;
+      queue = loadQueue().filter((item) => item.id !== entry.id);
+      saveQueue(queue);
+    } catch (error) {
+      const attempts = (entry.attempts || 0) + 1;
+      if (!error || !error.retryable || attempts >= _options.maxAttempts) {
+        // The server rejected the event or keeps failing, retrying won't help
+        console.error("Dropping queued event:", error);
+        _stats.dropped++;
+        queue = loadQueue().filter((item) => item.id !== entry.id);
+        saveQueue(queue);
+        continue;
+      }
+
+      _stats.retries++;
+      queue = loadQueue().map((item) =>
+        item.id === entry.id ? { ...item, attempts } : item,
+      );
+      saveQueue(queue);
+      _retryAttempt++;
+      scheduleRetry();
+      return;
+    }
+  }
+  _retryAttempt = 0;
+}
+
+/**
+ * Try to deliver every queued event in order. Stops at the first retryable
+ * failure and schedules the next attempt with backoff. Only one tab drains at
+ * a time, the others check again later.
+ * @returns {Promise<void>}
+ */
+async function drainEventQueue() {
+  if (_isDraining || !_deliver || !isOnline()) return;
+  _isDraining = true;
+  clearRetry();
+
+  try {
+    const drained = await withQueueLock(drainQueue);
+    if (!drained) {
+      // Another tab is draining, take over if it goes away
+      scheduleRetry();
+    }
+  } finally {
+    _isDraining = false;
+  }
+}
+
+/**
+ * Start processing the queue: drain events left over from previous page
+ * loads and drain again whenever the browser comes back online.
+ * @param {function({name: string, value: Object}): Promise<any>} deliver - Sends a
+ * single payload; rejects with an error flagged `retryable` on transient failures
+ */
+function setupEventQueue(deliver) {
+  _deliver = deliver;
+
+  if (!_onlineHandler && window.addEventListener) {
+    _onlineHandler = () => {
+      _retryAttempt = 0;
+      drainEventQueue();
+    };
+    window.addEventListener("online", _onlineHandler);
+  }
+
+  if (loadQueue().length) {
+    drainEventQueue();
+  }
+}
+
+/**
+ * Stop retrying and remove the online listener. Queued events stay persisted.
+ */
+function cleanupEventQueue() {
+  clearRetry();
+  if (_onlineHandler) {
+    window.removeEventListener("online", _onlineHandler);
+    _onlineHandler = null;
+  }
+  _deliver = null;
+  _retryAttempt = 0;
+}
+
+/**
+ * Delete every queued event, e.g. when analytics consent is withdrawn.
+ */
+function clearEventQueue() {
+  _stats.dropped += loadQueue().length;
+  saveQueue([]);
+}
+
+/**
+ * Get queue statistics.
+ * @returns {{size: number, oldestEventAge: number|null, nextRetryAt: number|null,
+ *   enqueued: number, delivered: number, dropped: number, expired: number, retries: number}}
+ */
+function getQueueStats() {
+  const queue = loadQueue();
+  const oldest = queue.length ? queue[0].createdAt : null;
+  return {
+    size: queue.length,
+    oldestEventAge: oldest ? Date.now() - oldest : null,
+    nextRetryAt: _nextRetryAt,
+    ..._stats,
+  };
+}
+
+export {
+  configureQueue,
+  enqueueEvent,
+  drainEventQueue,
+  setupEventQueue,
+  cleanupEventQueue,
+  clearEventQueue,
+  getQueueStats,
+  isOnline,
+};
@@ -0,0 +1,292 @@
+/**
+ * Client-side A/B and multivariate experiments. Visitors are bucketed by a
+ * hash of their LP_CID, so the assignment is the same on every device
+ * sharing the cookie, and kept in a cookie so changing weights doesn't move
+ * visitors between variants. Variant content uses the data-lp-var* elements
+ * of personalization:
+ *
+ *   experiments: [{
+ *     id: "hero-test",
+ *     holdout: 10, // percent of visitors who always see the original content
+ *     variants: [
+ *       { id: "control", weight: 50 },
+ *       { id: "short", weight: 25, content: { "hero-title": "Ship faster" } },
+ *       { id: "long", weight: 25, content: { "hero-title": "...", "hero-cta": {...} } },
+ *     ],
+ *   }]
+ *
+ * Keys a variant doesn't set show the original content. For QA,
+ * ?lp_variant=hero-test:short forces a variant without storing it
+ * (?lp_variant=short when only one experiment has that variant).
+ * @module experiments
+ */
+import { getCookie, setCookie } from "./cookie.js";
+import { hasConsent } from "./consent.js";
+import { getCookieOptions } from "./privacySignals.js";
+import { normalizeUrl } from "./urlNormalizer.js";
+import { sendEvent } from "./trackerCore.js";
+import {
+  _setExperimentContent,
+  onPersonalizedElement,
+} from "./personalization.js";
+import {
+  ALL_PERSONALIZATION_ATTRIBUTES,
+  CID_COOKIE_NAME,
+  EXPERIMENTS_COOKIE_NAME,
+} from "../constants.js";
+
+const OVERRIDE_PARAM = "lp_variant";
+const HOLDOUT_VARIANT = "holdout";
+
+let _experiments = [];
+// experimentId -> {variantId, holdout, override}
+let _assignments = {};
+// "experimentId|uri": one exposure per experiment and page
+let _exposed = {};
+let _listening = false;
+
+// FNV-1a, mapped to [0, 1)
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    // value * 16777619 without Math.imul, for older browsers
+    value +=
+      (value << 1) + (value << 4) + (value << 7) + (value << 8) + (value << 24);
+    value >>>= 0;
+  }
+  return (value >>> 0) / 4294967296;
+}
+
+function isValidExperiment(experiment) {
+  const valid =
+    experiment &&
+    typeof experiment.id === "string" &&
+    Array.isArray(experiment.variants) &&
+    experiment.variants.length > 0 &&
+    experiment.variants.every((variant) => variant && variant.id);
+  if (!valid) {
+    console.warn(
+      "Invalid experiment, it needs an id and variants:",
+      experiment,
+    );
+  }
+  return valid;
+}
+
+// Keys set by any variant, owned by the experiment
+function getExperimentKeys(experiment) {
+  const keys = [];
+  experiment.variants.forEach((variant) => {
+    Object.keys(variant.content || {}).forEach((key) => {
+      if (keys.indexOf(key) === -1) keys.push(key);
+    });
+  });
+  return keys;
+}
+
+function readStoredAssignments() {
+  try {
+    const raw = getCookie(EXPERIMENTS_COOKIE_NAME);
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+// Parse ?lp_variant=experiment:variant,other:variant
+function getOverrides() {
+  const overrides = {};
+  const raw = new URLSearchParams(window.location.search).get(OVERRIDE_PARAM);
+  if (!raw) return overrides;
+
+  raw.split(",").forEach((item) => {
+    const separator = item.lastIndexOf(":");
+    if (separator !== -1) {
+      overrides[item.slice(0, separator)] = item.slice(separator + 1);
+      return;
+    }
+    const matching = _experiments.filter((experiment) =>
+      experiment.variants.some((variant) => variant.id === item),
+    );
+    if (matching.length === 1) {
+      overrides[matching[0].id] = item;
+    } else {
+      console.warn(`Ambiguous or unknown ${OVERRIDE_PARAM}: ${item}`);
+    }
+  });
+  return overrides;
+}
+
+function findVariant(experiment, variantId) {
+  return experiment.variants.filter((variant) => variant.id === variantId)[0];
+}
+
+function pickVariant(experiment, cid) {
+  const weights = experiment.variants.map((variant) =>
+    variant.weight === undefined ? 1 : Math.max(0, Number(variant.weight)),
+  );
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!total) return experiment.variants[0];
+
+  let point = hash(`${cid}:${experiment.id}`) * total;
+  for (let i = 0; i < weights.length; i++) {
+    point -= weights[i];
+    if (point < 0) return experiment.variants[i];
+  }
+  return experiment.variants[weights.length - 1];
+}
+
+function assign(experiment, cid, stored, overrides) {
+  const overridden = overrides[experiment.id];
+  if (overridden === HOLDOUT_VARIANT || findVariant(experiment, overridden)) {
+    return {
+      variantId: overridden,
+      holdout: overridden === HOLDOUT_VARIANT,
+      override: true,
+    };
+  }
+
+  const previous = stored[experiment.id];
+  if (previous === HOLDOUT_VARIANT || findVariant(experiment, previous)) {
+    return {
+      variantId: previous,
+      holdout: previous === HOLDOUT_VARIANT,
+      override: false,
+    };
+  }
+
+  // Hashed separately so the holdout doesn't skew the variant split
+  const holdout = Number(experiment.holdout) || 0;
+  if (hash(`${cid}:${experiment.id}:holdout`) * 100 < holdout) {
+    return { variantId: HOLDOUT_VARIANT, holdout: true, override: false };
+  }
+  return {
+    variantId: pickVariant(experiment, cid).id,
+    holdout: false,
+    override: false,
+  };
+}
+
+function expose(experiment) {
+  const assignment = _assignments[experiment.id];
+  if (!assignment) return;
+
+  const uri = normalizeUrl();
+  const exposureKey = `${experiment.id}|${uri}`;
+  if (_exposed[exposureKey]) return;
+  _exposed[exposureKey] = true;
+
+  sendEvent("experiment_exposure", {
+    experimentId: experiment.id,
+    variantId: assignment.variantId,
+    holdout: assignment.holdout,
+    override: assignment.override,
+    uri,
+  }).catch(() => {
+    // Not sent, e.g. without consent
+  });
+}
+
+// An element showing experiment keys has been personalized
+function handlePersonalizedElement(el) {
+  const keys = ALL_PERSONALIZATION_ATTRIBUTES.map((attr) =>
+    el.getAttribute(attr),
+  ).filter(Boolean);
+  _experiments.forEach((experiment) => {
+    if (
+      _assignments[experiment.id] &&
+      getExperimentKeys(experiment).some((key) => keys.indexOf(key) !== -1)
+    ) {
+      expose(experiment);
+    }
+  });
+}
+
+/**
+ * Set the experiments to run.
+ * @param {Array<{
+ *   id: string,
+ *   holdout?: number,
+ *   variants: Array<{id: string, weight?: number, content?: Object}>,
+ * }>} [experiments]
+ */
+function configureExperiments(experiments = []) {
+  _experiments = (Array.isArray(experiments) ? experiments : []).filter(
+    isValidExperiment,
+  );
+  _assignments = {};
+  if (!_listening) {
+    onPersonalizedElement(handlePersonalizedElement);
+    _listening = true;
+  }
+}
+
+/**
+ * Assign the visitor to the configured experiments and apply the variant
+ * content. Requires personalization consent and the LP_CID cookie; without
+ * them visitors see the original content.
+ */
+function runExperiments() {
+  if (!_experiments.length || !hasConsent("personalization")) return;
+
+  const cid = getCookie(CID_COOKIE_NAME);
+  if (!cid) return;
+
+  try {
+    const stored = readStoredAssignments();
+    const overrides = getOverrides();
+    const persisted = {};
+    const content = {};
+
+    _experiments.forEach((experiment) => {
+      const assignment = assign(experiment, cid, stored, overrides);
+      _assignments[experiment.id] = assignment;
+      // QA overrides must not stick
+      const stick = assignment.override
+        ? stored[experiment.id]
+        : assignment.variantId;
+      if (stick) persisted[experiment.id] = stick;
+
+      const variant = findVariant(experiment, assignment.variantId);
+      const variantContent = (variant && variant.content) || {};
+      getExperimentKeys(experiment).forEach((key) => {
+        if (content[key] !== undefined) {
+          console.warn(
+            `Personalization key "${key}" is in several experiments.`,
+          );
+          return;
+        }
+        // null keeps the original content
+        content[key] =
+          variantContent[key] !== undefined ? variantContent[key] : null;
+      });
+    });
+
+    setCookie(
+      EXPERIMENTS_COOKIE_NAME,
+      JSON.stringify(persisted),
+      getCookieOptions(),
+    );
+    _setExperimentContent(content);
+  } catch (error) {
+    console.error("Error running experiments:", error);
+  }
+}
+
+/**
+ * Get the variant of an experiment, e.g. to run variant code. Counts as an
+ * exposure on the current page.
+ * @param {string} experimentId
+ * @returns {string|null} The variant id, "holdout", or null when the visitor
+ * isn't in the experiment
+ */
+function getExperimentVariant(experimentId) {
+  const experiment = _experiments.filter((item) => item.id === experimentId)[0];
+  if (!experiment || !_assignments[experimentId]) return null;
+
+  expose(experiment);
+  return _assignments[experimentId].variantId;
+}
+
+export { configureExperiments, runExperiments, getExperimentVariant };
@@ -1,4 +1,8 @@
 import { sendEvent } from "./trackerCore.js";
+import { isValueCaptureSuppressed } from "./privacySignals.js";
+import { redactValue } from "./redaction.js";
+import { isIgnored, isValueExcluded } from "./optOut.js";
+import { getAttribution } from "./attribution.js";
 
 // Helper to safely get trimmed input value
 function getTrimmedValue(input) {
@@ -26,8 +30,11 @@ function getTrimmedValue(input) {
 }
 
 // Get all form fields and their values - no validation
+// Values go through the PII redaction pipeline
 function getAllFormFields(form) {
   const fields = {};
+  // Under a GPC / DNT opt-out only report which fields were filled in
+  const suppressValues = isValueCaptureSuppressed();
 
   // Query for all form input elements
   const formElements = form.querySelectorAll(
@@ -37,6 +44,7 @@ function getAllFormFields(form) {
   formElements.forEach((element) => {
     // Skip certain input types that shouldn't be tracked
     if (
+      isIgnored(element) ||
       element.type === "password" ||
       element.type === "hidden" ||
       element.type === "submit" ||
@@ -53,8 +61,8 @@ function getAllFormFields(form) {
       element.getAttribute("data-field") ||
       `field_${element.tagName.toLowerCase()}_${Math.random().toString(36).substr(2, 9)}`;
 
-    if(element.type === 'email') {
-      fieldName = 'email';
+    if (element.type === "email") {
+      fieldName = "email";
     }
 
     // Skip if no valid field name
@@ -62,18 +70,24 @@ function getAllFormFields(form) {
 
     const value = getTrimmedValue(element);
 
+    if (value && (suppressValues || isValueExcluded(element))) {
+      fields[fieldName] = null;
+      return;
+    }
+
     // Include ANY field that has a value - no validation
     if (value) {
+      const redacted = redactValue(element, value);
       // Handle multiple fields with same name (like radio groups)
       if (fields[fieldName]) {
         // Convert to array if multiple values exist
         if (Array.isArray(fields[fieldName])) {
-          fields[fieldName].push(value);
+          fields[fieldName].push(redacted);
         } else {
-          fields[fieldName] = [fields[fieldName], value];
+          fields[fieldName] = [fields[fieldName], redacted];
         }
       } else {
-        fields[fieldName] = value;
+        fields[fieldName] = redacted;
       }
     }
   });
@@ -86,11 +100,16 @@ function structureFormData(formId, fields) {
   return {
     formId: formId || "unknown",
     fields: fields,
+    attribution: getAttribution(),
   };
 }
 
 // Extract all form data
 function extractFormData(form) {
+  if (isIgnored(form)) {
+    return null;
+  }
+
   const allFields = getAllFormFields(form);
 
   // Send if ANY field has data
@@ -122,57 +141,60 @@ function trackFormSubmission(form) {
 }
 
 let _formTrackingInitialized = false;
+let _cleanup = null;
 const trackedForms = new WeakSet();
 
 function setupFormTracking() {
   if (_formTrackingInitialized) return;
   _formTrackingInitialized = true;
 
+  const options = { capture: true };
+
   // Method 1: Non-blocking submit event tracking
-  document.addEventListener(
-    "submit",
-    (e) => {
-      const form = e.target;
-      if (!(form instanceof HTMLFormElement)) return;
-      if (trackedForms.has(form)) return;
+  const handleSubmit = (e) => {
+    const form = e.target;
+    if (!(form instanceof HTMLFormElement)) return;
+    if (trackedForms.has(form)) return;
 
-      // Don't prevent default - let form submit normally
-      console.log("Form submission detected, tracking in parallel...");
+    // Don't prevent default - let form submit normally
+    console.log("Form submission detected, tracking in parallel...");
 
-      // Track in parallel without blocking
-      trackFormSubmission(form);
-    },
-    { capture: true },
-  );
+    // Track in parallel without blocking
+    trackFormSubmission(form);
+  };
 
   // Method 2: Button click tracking as backup
-  document.addEventListener(
-    "click",
-    (e) => {
-      const button = e.target;
-
-      // Check if it's a submit button
-      if (
-        (button.type === "submit" ||
-          (button.tagName === "BUTTON" && !button.type)) &&
-        button.form
-      ) {
-        const form = button.form;
-
-        // Track immediately when button is clicked (backup method)
-        const formData = extractFormData(form);
-        if (formData) {
-          console.log("Submit button clicked, tracking form data:", formData);
-
-          // Send tracking immediately without blocking
-          sendEvent("form_submit", formData).catch((err) => {
-            console.error("Form tracking failed:", err);
-          });
-        }
+  const handleClick = (e) => {
+    const button = e.target;
+
+    // Check if it's a submit button
+    if (
+      (button.type === "submit" ||
+        (button.tagName === "BUTTON" && !button.type)) &&
+      button.form
+    ) {
+      const form = button.form;
+
+      // Track immediately when button is clicked (backup method)
+      let formData = null;
+      try {
+        formData = extractFormData(form);
+      } catch (error) {
+        console.error("Form tracking error:", error);
       }
-    },
-    { capture: true },
-  );
+      if (formData) {
+        console.log("Submit button clicked, tracking form data:", formData);
+
+        // Send tracking immediately without blocking
+        sendEvent("form_submit", formData).catch((err) => {
+          console.error("Form tracking failed:", err);
+        });
+      }
+    }
+  };
+
+  document.addEventListener("submit", handleSubmit, options);
+  document.addEventListener("click", handleClick, options);
 
   // Method 3: Watch for forms that might be submitted via JavaScript
   const observer = new MutationObserver((mutations) => {
@@ -204,6 +226,15 @@ function setupFormTracking() {
 
   // Setup watchers for existing forms
   document.querySelectorAll("form").forEach(setupFormWatcher);
+
+  _cleanup = () => {
+    if (!_formTrackingInitialized) return;
+    document.removeEventListener("submit", handleSubmit, options);
+    document.removeEventListener("click", handleClick, options);
+    observer.disconnect();
+    _formTrackingInitialized = false;
+    _cleanup = null;
+  };
 }
 
 // Setup individual form watcher - non-blocking
@@ -223,10 +254,13 @@ function setupFormWatcher(form) {
   // Override form.submit() method for programmatic submissions
   const originalSubmit = form.submit;
   form.submit = function () {
-    console.log("Form.submit() called, tracking form data...");
+    // Watchers stay on the form after cleanup, so check tracking is still on
+    if (_formTrackingInitialized) {
+      console.log("Form.submit() called, tracking form data...");
 
-    // Track without blocking
-    trackFormSubmission(this);
+      // Track without blocking
+      trackFormSubmission(this);
+    }
 
     // Immediately call original submit
     originalSubmit.call(this);
@@ -255,4 +289,16 @@ function setupNonBlockingFormTracking() {
   );
 }
 
-export { setupFormTracking, setupNonBlockingFormTracking, extractFormData };
+// Cleanup form tracking
+function cleanupFormTracking() {
+  if (_cleanup) {
+    _cleanup();
+  }
+}
+
+export {
+  setupFormTracking,
+  cleanupFormTracking,
+  setupNonBlockingFormTracking,
+  extractFormData,
+};
@@ -0,0 +1,311 @@
+import { sendEvent } from "./trackerCore.js";
+import { isIgnored, isMasked, maskValue } from "./optOut.js";
+import { matchesSelector, getCssSelector } from "./domUtils.js";
+
+const DEFAULT_OPTIONS = {
+  rageClick: { clicks: 3, windowMs: 1000, radiusPx: 30 },
+  deadClick: { timeoutMs: 1000 },
+  errorClick: { windowMs: 1000 },
+};
+
+// Elements users expect to react when clicked
+const INTERACTIVE_SELECTORS = [
+  "a[href]",
+  "button",
+  'input[type="button"]',
+  'input[type="submit"]',
+  'input[type="reset"]',
+  'input[type="image"]',
+  "summary",
+  "label",
+  "select",
+  '[role="button"]',
+  '[role="link"]',
+  '[role="tab"]',
+  '[role="menuitem"]',
+  "[onclick]",
+];
+
+let _options = DEFAULT_OPTIONS;
+let _initialized = false;
+let _cleanup = null;
+let _recentClicks = [];
+let _lastClick = null;
+// Clicked element -> {changed: boolean}, watched by one shared observer
+const _pendingDeadClicks = new Map();
+let _deadClickObserver = null;
+
+// Attributes and classes the tracker itself writes (data-lp-var-ready,
+// lp-personalizing...), they are no reaction to a click
+const TRACKER_ATTRIBUTE_PREFIX = "data-lp-";
+const TRACKER_CLASS_PREFIX = "lp-";
+
+/**
+ * Configure frustration signal thresholds. Each signal can be set to false
+ * to turn it off.
+ * @param {{
+ *   rageClick?: false | {clicks?: number, windowMs?: number, radiusPx?: number},
+ *   deadClick?: false | {timeoutMs?: number},
+ *   errorClick?: false | {windowMs?: number},
+ * }} [options]
+ */
+export function configureFrustrationTracking(options = {}) {
+  const merge = (name) =>
+    options[name] === false
+      ? false
+      : { ...DEFAULT_OPTIONS[name], ...(options[name] || {}) };
+
+  _options = {
+    rageClick: merge("rageClick"),
+    deadClick: merge("deadClick"),
+    errorClick: merge("errorClick"),
+  };
+}
+
+// Helper to find the element that looks interactive, if any
+function findInteractiveElement(element) {
+  let current = element;
+  while (current && current !== document.body && current.nodeType === 1) {
+    if (
+      matchesSelector(current, INTERACTIVE_SELECTORS) ||
+      window.getComputedStyle(current).cursor === "pointer"
+    ) {
+      return current;
+    }
+    current = current.parentElement;
+  }
+  return null;
+}
+
+// Helper to describe the clicked element in frustration events
+function getTargetData(element, event) {
+  let text = (element.textContent || "").replace(/\s+/g, " ").trim();
+  if (text.length > 100) {
+    text = `${text.slice(0, 100)}...`;
+  }
+  return {
+    tagName: element.tagName.toLowerCase(),
+    id: element.id || null,
+    selector: getCssSelector(element),
+    textContent: isMasked(element) ? maskValue(text) : text,
+    position: {
+      pageX: Math.round(event.pageX),
+      pageY: Math.round(event.pageY),
+    },
+  };
+}
+
+function sendFrustrationEvent(name, data) {
+  sendEvent(name, data).catch((err) => {
+    console.error(`${name} tracking failed:`, err);
+  });
+}
+
+// N clicks within the window, all within radiusPx of the latest one
+function detectRageClick(event, timestamp) {
+  const { clicks, windowMs, radiusPx } = _options.rageClick;
+
+  _recentClicks = _recentClicks
+    .filter((click) => timestamp - click.timestamp <= windowMs)
+    .concat({ timestamp, x: event.clientX, y: event.clientY });
+
+  const nearby = _recentClicks.filter(
+    (click) =>
+      Math.abs(click.x - event.clientX) <= radiusPx &&
+      Math.abs(click.y - event.clientY) <= radiusPx,
+  );
+
+  if (nearby.length >= clicks) {
+    sendFrustrationEvent("rage_click", {
+      ...getTargetData(event.target, event),
+      clickCount: nearby.length,
+      durationMs: timestamp - nearby[0].timestamp,
+    });
+    // Report each burst once
+    _recentClicks = [];
+  }
+}
+
+// Helper to check whether a class change only toggled tracker classes
+function isTrackerClassChange(record) {
+  const before = (record.oldValue || "").split(/\s+/).filter(Boolean);
+  const after = (record.target.getAttribute("class") || "")
+    .split(/\s+/)
+    .filter(Boolean);
+  const toggled = before
+    .filter((name) => after.indexOf(name) === -1)
+    .concat(after.filter((name) => before.indexOf(name) === -1));
+  return toggled.every((name) => name.indexOf(TRACKER_CLASS_PREFIX) === 0);
+}
+
+function isRelated(node, element) {
+  return node === element || element.contains(node) || node.contains(element);
+}
+
+// Whether a mutation looks like the page reacting to a click on element.
+// Text and attribute changes elsewhere (tickers, carousels) don't count,
+// elements added or removed anywhere do (menus, dialogs, portals).
+function isReaction(record, element) {
+  if (record.type === "attributes") {
+    if (record.attributeName.indexOf(TRACKER_ATTRIBUTE_PREFIX) === 0) {
+      return false;
+    }
+    if (record.attributeName === "class" && isTrackerClassChange(record)) {
+      return false;
+    }
+    return isRelated(record.target, element);
+  }
+  if (record.type === "characterData") {
+    return element.contains(record.target);
+  }
+  return Array.from(record.addedNodes)
+    .concat(Array.from(record.removedNodes))
+    .some((node) => node.nodeType === 1 && node.tagName !== "STYLE");
+}
+
+function handleDeadClickMutations(records) {
+  _pendingDeadClicks.forEach((pending, element) => {
+    if (!pending.changed) {
+      pending.changed = records.some((record) => isReaction(record, element));
+    }
+  });
+}
+
+// The observer only runs while clicks are waiting for a reaction
+function watchDeadClick(element) {
+  const pending = { changed: false };
+  _pendingDeadClicks.set(element, pending);
+  if (!_deadClickObserver) {
+    _deadClickObserver = new MutationObserver(handleDeadClickMutations);
+    _deadClickObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeOldValue: true,
+      characterData: true,
+    });
+  }
+  return pending;
+}
+
+function unwatchDeadClick(element) {
+  _pendingDeadClicks.delete(element);
+  if (!_pendingDeadClicks.size && _deadClickObserver) {
+    _deadClickObserver.disconnect();
+    _deadClickObserver = null;
+  }
+}
+
+// Leaving the page is a reaction to every pending click
+function handlePageHide() {
+  _pendingDeadClicks.forEach((pending) => {
+    pending.changed = true;
+  });
+}
+
+// A click on something interactive with no DOM change or navigation afterwards
+function detectDeadClick(event) {
+  const element = findInteractiveElement(event.target);
+  // Form fields react without DOM changes (focus, typing)
+  if (!element || _pendingDeadClicks.has(element)) return;
+  if (matchesSelector(element, ["select", "label"])) return;
+
+  const startUrl = window.location.href;
+  const pending = watchDeadClick(element);
+
+  setTimeout(() => {
+    // Mutations not delivered to the callback yet
+    if (_deadClickObserver) {
+      handleDeadClickMutations(_deadClickObserver.takeRecords());
+    }
+    unwatchDeadClick(element);
+
+    if (!_initialized || pending.changed || window.location.href !== startUrl) {
+      return;
+    }
+    sendFrustrationEvent("dead_click", {
+      ...getTargetData(element, event),
+      timeoutMs: _options.deadClick.timeoutMs,
+    });
+  }, _options.deadClick.timeoutMs);
+}
+
+function handleError(message) {
+  if (!_lastClick || !_options.errorClick) return;
+  if (Date.now() - _lastClick.timestamp > _options.errorClick.windowMs) return;
+
+  const { element, event } = _lastClick;
+  // One error_click per click
+  _lastClick = null;
+  sendFrustrationEvent("error_click", {
+    ...getTargetData(element, event),
+    errorMessage: String(message || "Unknown error").slice(0, 500),
+  });
+}
+
+function _trackFrustration(event) {
+  try {
+    const target = event.target;
+    if (!target || target.nodeType !== 1 || isIgnored(target)) return;
+
+    const timestamp = Date.now();
+    _lastClick = { element: target, event, timestamp };
+
+    if (_options.rageClick) {
+      detectRageClick(event, timestamp);
+    }
+    if (_options.deadClick && window.MutationObserver) {
+      detectDeadClick(event);
+    }
+  } catch (error) {
+    console.error("Error in frustration tracking:", error);
+  }
+}
+
+// Setup rage, dead and error click detection
+export function setupFrustrationTracking() {
+  if (_initialized) return;
+
+  try {
+    const options = { capture: true, passive: true };
+
+    const handleWindowError = (e) => {
+      handleError(e.message || (e.error && e.error.message));
+    };
+    const handleRejection = (e) => {
+      const reason = e.reason;
+      handleError(reason && reason.message ? reason.message : reason);
+    };
+
+    document.addEventListener("click", _trackFrustration, options);
+    window.addEventListener("pagehide", handlePageHide);
+    window.addEventListener("error", handleWindowError);
+    window.addEventListener("unhandledrejection", handleRejection);
+
+    _initialized = true;
+
+    _cleanup = () => {
+      if (!_initialized) return;
+      document.removeEventListener("click", _trackFrustration, options);
+      window.removeEventListener("pagehide", handlePageHide);
+      window.removeEventListener("error", handleWindowError);
+      window.removeEventListener("unhandledrejection", handleRejection);
+      _initialized = false;
+      _cleanup = null;
+      _recentClicks = [];
+      _lastClick = null;
+    };
+  } catch (error) {
+    console.error("Error setting up frustration tracking:", error);
+    if (_cleanup) {
+      _cleanup();
+    }
+  }
+}
+
+// Cleanup frustration tracking
+export function cleanupFrustrationTracking() {
+  if (_cleanup) {
+    _cleanup();
+  }
+}
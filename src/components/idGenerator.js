@@ -18,14 +18,4 @@ function generateId() {
   return ulid();
 }
 
-function generateVisitId() {
-  if (window.VISIT_ID) {
-    return window.VISIT_ID; // Return existing visit ID if available
-  }
-  // Generate a new visit ID
-  const visitId = generateId();
-  window.VISIT_ID = visitId; // Store it globally
-  return visitId;
-}
-
-export { generateId, generateVisitId };
+export { generateId };
@@ -0,0 +1,170 @@
+import { sendEvent } from "./trackerCore.js";
+import { onRouteChange } from "./routeTracker.js";
+import { isIgnored } from "./optOut.js";
+import { normalizeUrl } from "./urlNormalizer.js";
+import { matchesSelector, getCssSelector } from "./domUtils.js";
+import { observeView, isViewObserverSupported } from "./viewObserver.js";
+import {
+  ALL_PERSONALIZATION_ATTRIBUTES,
+  PERSONALIZATION_SELECTOR,
+  PERSONALIZATION_FLAG,
+  PERSONALIZATION_VARIANT_ATTRIBUTE,
+  IMPRESSION_ATTRIBUTE,
+} from "../constants.js";
+
+const DEFAULT_OPTIONS = {
+  threshold: 0.5,
+  minVisibleMs: 1000,
+};
+
+const IMPRESSION_SELECTOR = `${PERSONALIZATION_SELECTOR},[${IMPRESSION_ATTRIBUTE}]`;
+
+let _options = { ...DEFAULT_OPTIONS };
+let _initialized = false;
+let _cleanup = null;
+let _watchedElements = new WeakSet();
+let _unobserveViews = [];
+// Impressions already sent during the current page view
+let _seenImpressions = {};
+
+/**
+ * Configure how visible an element must be, and for how long, to count as seen.
+ * @param {{threshold?: number, minVisibleMs?: number}} [options]
+ */
+export function configureImpressionTracking(options = {}) {
+  _options = { ...DEFAULT_OPTIONS, ...options };
+}
+
+// Helper to find the personalization attribute and key of an element
+function getPersonalization(element) {
+  for (let i = 0; i < ALL_PERSONALIZATION_ATTRIBUTES.length; i++) {
+    const attr = ALL_PERSONALIZATION_ATTRIBUTES[i];
+    if (element.hasAttribute(attr)) {
+      return { attribute: attr, key: element.getAttribute(attr) };
+    }
+  }
+  return null;
+}
+
+function getImpressionData(element) {
+  const personalization = getPersonalization(element);
+  return {
+    name: element.getAttribute(IMPRESSION_ATTRIBUTE) || null,
+    personalizationKey: personalization ? personalization.key : null,
+    personalizationAttribute: personalization
+      ? personalization.attribute
+      : null,
+    variant: element.getAttribute(PERSONALIZATION_VARIANT_ATTRIBUTE) || null,
+    selector: getCssSelector(element),
+    uri: normalizeUrl(),
+  };
+}
+
+function trackImpression(element) {
+  const data = getImpressionData(element);
+  // The same block rendered twice on a page counts once
+  const dedupeKey = [
+    data.name,
+    data.personalizationKey,
+    data.variant,
+    data.name || data.personalizationKey ? "" : data.selector,
+  ].join("|");
+  if (_seenImpressions[dedupeKey]) return;
+  _seenImpressions[dedupeKey] = true;
+
+  sendEvent("element_view", data).catch((err) => {
+    console.error("Impression tracking failed:", err);
+  });
+}
+
+function watchElement(element) {
+  if (_watchedElements.has(element) || isIgnored(element)) return;
+
+  // Personalized blocks are hidden until applied, only watch them once shown
+  if (
+    getPersonalization(element) &&
+    element.getAttribute(PERSONALIZATION_FLAG) !== "true"
+  ) {
+    return;
+  }
+
+  _watchedElements.add(element);
+  _unobserveViews.push(observeView(element, _options, trackImpression));
+}
+
+function watchElementsIn(root) {
+  if (root.nodeType !== Node.ELEMENT_NODE) return;
+
+  if (matchesSelector(root, IMPRESSION_SELECTOR)) {
+    watchElement(root);
+  }
+  root.querySelectorAll(IMPRESSION_SELECTOR).forEach(watchElement);
+}
+
+// Start over for a new page view
+function resetImpressions() {
+  _unobserveViews.forEach((unobserve) => unobserve());
+  _unobserveViews = [];
+  _watchedElements = new WeakSet();
+  _seenImpressions = {};
+}
+
+// Setup element impression tracking
+export function setupImpressionTracking() {
+  if (_initialized) return;
+
+  if (!isViewObserverSupported()) {
+    console.warn("Impression tracking requires IntersectionObserver support.");
+    return;
+  }
+
+  try {
+    const observer = new MutationObserver((mutations) => {
+      mutations.forEach((mutation) => {
+        if (mutation.type === "attributes") {
+          watchElementsIn(mutation.target);
+        } else {
+          mutation.addedNodes.forEach(watchElementsIn);
+        }
+      });
+    });
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: [PERSONALIZATION_FLAG, IMPRESSION_ATTRIBUTE],
+    });
+
+    let pagePath = normalizeUrl();
+    const unsubscribeRouteChange = onRouteChange(() => {
+      if (normalizeUrl() === pagePath) return;
+      pagePath = normalizeUrl();
+      resetImpressions();
+      watchElementsIn(document.body);
+    });
+
+    watchElementsIn(document.body);
+    _initialized = true;
+
+    _cleanup = () => {
+      if (!_initialized) return;
+      observer.disconnect();
+      unsubscribeRouteChange();
+      resetImpressions();
+      _initialized = false;
+      _cleanup = null;
+    };
+  } catch (error) {
+    console.error("Error setting up impression tracking:", error);
+    if (_cleanup) {
+      _cleanup();
+    }
+  }
+}
+
+// Cleanup element impression tracking
+export function cleanupImpressionTracking() {
+  if (_cleanup) {
+    _cleanup();
+  }
+}
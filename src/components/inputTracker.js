@@ -1,4 +1,7 @@
 import { sendEvent } from "./trackerCore.js";
+import { isValueCaptureSuppressed } from "./privacySignals.js";
+import { redactValue } from "./redaction.js";
+import { isIgnored, isValueExcluded } from "./optOut.js";
 
 // Constants
 const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -37,23 +40,32 @@ function setupInputTracking() {
     const el = e.target;
     if (!(el instanceof HTMLInputElement)) return;
 
+    // input_blur only carries a value, so skip it under a GPC / DNT opt-out
+    if (isValueCaptureSuppressed()) return;
+
     // Skip empty values
     if (el.value.trim() === "") {
       return;
     }
 
+    // Never capture passwords, same as form tracking
+    if (el.type === "password") return;
+
+    // input_blur only carries a value, so data-lp-no-value skips it too
+    if (isIgnored(el) || isValueExcluded(el)) return;
+
     // Validate input based on type
     const validator = validators[el.type];
     if (validator && !validator(el.value)) {
       return;
     }
 
-    // Send the event with the input name and value
+    // Send the event with the input name and redacted value
     sendEvent("input_blur", {
       formId: el.form?.id || "unknown",
       inputType: el.type,
       name: el.name,
-      value: el.value,
+      value: redactValue(el, el.value),
     }).catch((err) => {
       console.error("Input blur tracking failed:", {
         error: err.message,
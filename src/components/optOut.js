@@ -0,0 +1,49 @@
+/**
+ * Declarative opt-out attributes page authors can put on any element. Each
+ * one applies to the element and its whole subtree.
+ *  - data-lp-ignore: not tracked or personalized at all
+ *  - data-lp-mask: values and text are sent with every character masked
+ *  - data-lp-no-value: fields are reported without their value
+ * @module optOut
+ */
+import { closestMatching } from "./domUtils.js";
+import {
+  IGNORE_ATTRIBUTE,
+  MASK_ATTRIBUTE,
+  NO_VALUE_ATTRIBUTE,
+} from "../constants.js";
+
+/**
+ * @param {Element} element
+ * @returns {boolean} True if the element is inside a data-lp-ignore subtree
+ */
+function isIgnored(element) {
+  return closestMatching(element, `[${IGNORE_ATTRIBUTE}]`) !== null;
+}
+
+/**
+ * @param {Element} element
+ * @returns {boolean} True if the element is inside a data-lp-mask subtree
+ */
+function isMasked(element) {
+  return closestMatching(element, `[${MASK_ATTRIBUTE}]`) !== null;
+}
+
+/**
+ * @param {Element} element
+ * @returns {boolean} True if the element is inside a data-lp-no-value subtree
+ */
+function isValueExcluded(element) {
+  return closestMatching(element, `[${NO_VALUE_ATTRIBUTE}]`) !== null;
+}
+
+/**
+ * Replace every non-whitespace character with "*".
+ * @param {string} value
+ * @returns {string}
+ */
+function maskValue(value) {
+  return typeof value === "string" ? value.replace(/\S/g, "*") : value;
+}
+
+export { isIgnored, isMasked, isValueExcluded, maskValue };
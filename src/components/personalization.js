@@ -1,66 +1,146 @@
 import {
   ALL_PERSONALIZATION_ATTRIBUTES,
+  PERSONALIZATION_SELECTOR,
   PERSONALIZATION_ATTRIBUTE,
   PERSONALIZATION_ATTRIBUTE_COPY,
   PERSONALIZATION_ATTRIBUTE_SRC,
   PERSONALIZATION_ATTRIBUTE_HREF,
   PERSONALIZATION_FLAG,
+  PERSONALIZATION_PENDING_ATTRIBUTE,
+  PERSONALIZATION_VARIANT_ATTRIBUTE,
 } from "../constants.js";
+import { isIgnored } from "./optOut.js";
+import { onRouteChange } from "./routeTracker.js";
+import { settleAntiFlicker, getPlaceholderClass } from "./antiFlicker.js";
+import { applyDirective } from "./directives.js";
+import { isSafeUrl } from "./sanitizer.js";
+import { renderTemplate } from "./templates.js";
 
-/**
- * Apply personalization attributes to the DOM elements
- * @param {Object} attributes - The personalization attributes to apply();
- * @param {Object} personalizationObject - The personalization data object - containing key-value pairs for personalization
- * @returns {void}
- * @private
- * @description
- * This function iterates over all personalization attributes defined init
- * ALL_PERSONALIZATION_ATTRIBUTES and applies the corresponding values
- */
-function _applyPersonalization(personalizationObject) {
+const DEFAULT_TIMEOUT_MS = 3000;
+
+// "pending" until data is applied, "applied" once it is, "cleared" when the
+// original content is shown instead (no consent, request failed)
+let _status = "pending";
+let _appliedData = null;
+let _timeoutMs = DEFAULT_TIMEOUT_MS;
+let _initialized = false;
+let _cleanup = null;
+let _pendingTimers = new Map();
+// Variant content of running experiments, it wins over personalization data
+let _experimentContent = {};
+let _elementListeners = [];
+
+// Helper to find the personalized elements in root, including root itself
+function findPersonalizedElements(root) {
+  if (!root || root.nodeType !== Node.ELEMENT_NODE) {
+    return root && root.querySelectorAll
+      ? Array.from(root.querySelectorAll(PERSONALIZATION_SELECTOR))
+      : [];
+  }
+  const elements = Array.from(root.querySelectorAll(PERSONALIZATION_SELECTOR));
+  if (root.matches && root.matches(PERSONALIZATION_SELECTOR)) {
+    elements.unshift(root);
+  }
+  return elements;
+}
+
+// Helper to get the personalization keys an element shows
+function getElementKeys(el) {
+  return ALL_PERSONALIZATION_ATTRIBUTES.map((attr) =>
+    el.getAttribute(attr),
+  ).filter(Boolean);
+}
+
+// Helper to check whether an element shows a key of a running experiment
+function hasExperimentContent(el) {
+  return getElementKeys(el).some((key) =>
+    Object.prototype.hasOwnProperty.call(_experimentContent, key),
+  );
+}
+
+// The data elements are personalized with at the moment
+function getCurrentData() {
+  return _status === "applied"
+    ? { ..._appliedData, ..._experimentContent }
+    : _experimentContent;
+}
+
+function cancelTimeout(el) {
+  if (_pendingTimers.has(el)) {
+    clearTimeout(_pendingTimers.get(el));
+    _pendingTimers.delete(el);
+  }
+  el.removeAttribute(PERSONALIZATION_PENDING_ATTRIBUTE);
+  const placeholderClass = getPlaceholderClass();
+  if (placeholderClass) {
+    el.classList.remove(placeholderClass);
+  }
+}
+
+// Set a URL attribute, unless the URL could run script
+function setUrl(el, name, url) {
+  if (!isSafeUrl(url)) {
+    console.warn(`Unsafe URL for personalization attribute "${name}".`);
+    return;
+  }
+  el.setAttribute(name, url);
+}
+
+// Apply the personalization data to a single element and reveal it
+function applyToElement(el, personalizationObject) {
+  cancelTimeout(el);
   ALL_PERSONALIZATION_ATTRIBUTES.forEach((attr) => {
-    const elements = document.querySelectorAll(`[${attr}]`);
-    elements.forEach((el) => {
+    if (el.hasAttribute(attr)) {
       const key = el.getAttribute(attr);
-      if (key && personalizationObject[key]) {
+      // data-lp-ignore keeps the original content
+      if (key && personalizationObject[key] && !isIgnored(el)) {
+        // Keep the variant served so impressions can report it
+        const variant =
+          personalizationObject[key].variant ||
+          personalizationObject[key].variantId;
+        if (variant) {
+          el.setAttribute(PERSONALIZATION_VARIANT_ATTRIBUTE, String(variant));
+        }
         if (attr === PERSONALIZATION_ATTRIBUTE_COPY) {
           if (typeof personalizationObject[key] === "string") {
-            el.textContent = personalizationObject[key];
+            el.textContent = renderTemplate(personalizationObject[key]);
           }
           if (personalizationObject[key].copy) {
-            el.textContent = personalizationObject[key].copy;
+            el.textContent = renderTemplate(personalizationObject[key].copy);
           } else if (personalizationObject[key].value) {
-            el.textContent = personalizationObject[key].value;
+            el.textContent = renderTemplate(personalizationObject[key].value);
           }
         } else if (attr === PERSONALIZATION_ATTRIBUTE_SRC) {
           if (typeof personalizationObject[key] === "string") {
-            el.src = personalizationObject[key];
+            setUrl(el, "src", personalizationObject[key]);
           }
           if (personalizationObject[key].src) {
-            el.src = personalizationObject[key].src;
+            setUrl(el, "src", personalizationObject[key].src);
           }
         } else if (attr === PERSONALIZATION_ATTRIBUTE_HREF) {
           if (typeof personalizationObject[key] === "string") {
-            el.href = personalizationObject[key];
+            setUrl(el, "href", personalizationObject[key]);
           }
           if (personalizationObject[key].href) {
-            el.href = personalizationObject[key].href;
+            setUrl(el, "href", personalizationObject[key].href);
           }
         } else if (attr === PERSONALIZATION_ATTRIBUTE) {
           const valueObj = personalizationObject[key];
+          if (typeof valueObj === "string") {
+            el.textContent = renderTemplate(valueObj);
+            return;
+          }
           Object.entries(valueObj).forEach(([prop, value]) => {
             if (prop === "copy") {
-              el.textContent = value;
+              el.textContent = renderTemplate(value);
             } else if (prop === "value") {
-              el.textContent = value;
-            } else if (prop === "src") {
-              el.setAttribute("src", value);
-            } else if (prop === "href") {
-              el.setAttribute("href", value);
-            } else {
-              // NOTE: think about how to handle other properties
-              // For any other properties, set them as attributes
-              // el.setAttribute(prop, value);
+              el.textContent = renderTemplate(value);
+            } else if (prop === "src" || prop === "href") {
+              setUrl(el, prop, value);
+            } else if (prop === "variant" || prop === "variantId") {
+              // Already set as data-lp-variant
+            } else if (!applyDirective(el, prop, value)) {
+              console.warn(`Unknown personalization directive: ${prop}.`);
             }
           });
         } else {
@@ -69,18 +149,229 @@ function _applyPersonalization(personalizationObject) {
           );
         }
       }
-      el.setAttribute(PERSONALIZATION_FLAG, "true"); // Mark as personalized
-    });
+    }
+  });
+  el.setAttribute(PERSONALIZATION_FLAG, "true"); // Mark as personalized
+  _elementListeners.forEach((listener) => {
+    try {
+      listener(el);
+    } catch (error) {
+      console.error("Personalized element listener failed:", error);
+    }
   });
 }
 
-function _clearPersonalizationFlags() {
-  ALL_PERSONALIZATION_ATTRIBUTES.forEach((attr) => {
-    const elements = document.querySelectorAll(`[${attr}]`);
-    elements.forEach((el) => {
-      el.setAttribute(PERSONALIZATION_FLAG, "true");
-    });
+// Show the original content of an element
+function revealElement(el) {
+  cancelTimeout(el);
+  el.setAttribute(PERSONALIZATION_FLAG, "true");
+}
+
+/**
+ * Apply personalization attributes to the DOM elements
+ * @param {Object} personalizationObject - The personalization data object - containing key-value pairs for personalization
+ * @param {Document|Element} [root=document] - Only apply to elements in root
+ * @param {"applied"|"cached"} [outcome="applied"] - Reported in the
+ * time-to-personalize metric
+ * @returns {void}
+ * @private
+ * @description
+ * This function iterates over all personalization attributes defined init
+ * ALL_PERSONALIZATION_ATTRIBUTES and applies the corresponding values. The
+ * data is kept to personalize elements rendered later on.
+ */
+function _applyPersonalization(
+  personalizationObject,
+  root = document,
+  outcome = "applied",
+) {
+  _status = "applied";
+  _appliedData = personalizationObject;
+  const data = getCurrentData();
+  findPersonalizedElements(root).forEach((el) => {
+    applyToElement(el, data);
+  });
+  settleAntiFlicker(outcome);
+}
+
+/**
+ * Replace the applied personalization data, only updating the elements of
+ * the given keys. Elements of removed keys keep their content until the
+ * next page load, the original content isn't kept.
+ * @param {Object} personalizationObject
+ * @param {string[]} keys - The keys whose value changed
+ */
+function _patchPersonalization(personalizationObject, keys) {
+  if (_status !== "applied") {
+    _applyPersonalization(personalizationObject);
+    return;
+  }
+  _appliedData = personalizationObject;
+  const data = getCurrentData();
+  findPersonalizedElements(document)
+    .filter((el) => getElementKeys(el).some((key) => keys.indexOf(key) !== -1))
+    .forEach((el) => applyToElement(el, data));
+}
+
+/**
+ * Show the original content of all personalized elements.
+ * @param {"failed"|"no_consent"} [reason="failed"] - Reported in the
+ * time-to-personalize metric
+ */
+function _clearPersonalizationFlags(reason = "failed") {
+  _status = "cleared";
+  _appliedData = null;
+  findPersonalizedElements(document).forEach((el) => {
+    if (!hasExperimentContent(el)) revealElement(el);
   });
+  settleAntiFlicker(reason);
+}
+
+/**
+ * Apply the personalization data again if it was applied before, e.g. after
+ * a route change or when traits used by templates change.
+ */
+function _refreshPersonalization() {
+  if (_status === "applied") {
+    _applyPersonalization(_appliedData);
+    return;
+  }
+  findPersonalizedElements(document)
+    .filter(hasExperimentContent)
+    .forEach((el) => applyToElement(el, _experimentContent));
+}
+
+/**
+ * Set the variant content of the running experiments and apply it. Keys
+ * with a null value show the original content.
+ * @param {Object} content - Personalization keys and values
+ */
+function _setExperimentContent(content) {
+  _experimentContent = content || {};
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", _refreshPersonalization);
+  } else {
+    _refreshPersonalization();
+  }
+}
+
+/**
+ * Register a listener called with every element once it is personalized.
+ * @param {function(Element): void} listener
+ * @returns {function(): void} Unsubscribe function
+ */
+function onPersonalizedElement(listener) {
+  _elementListeners.push(listener);
+  return () => {
+    _elementListeners = _elementListeners.filter((item) => item !== listener);
+  };
+}
+
+// Personalize elements rendered after the data arrived, or give them until
+// the anti-flicker timeout to get data before showing the original content
+function handleNewElement(el) {
+  if (_status === "applied" || hasExperimentContent(el)) {
+    applyToElement(el, getCurrentData());
+  } else if (_status === "cleared") {
+    revealElement(el);
+  } else if (
+    el.getAttribute(PERSONALIZATION_FLAG) !== "true" &&
+    !_pendingTimers.has(el)
+  ) {
+    const placeholderClass = getPlaceholderClass();
+    if (placeholderClass) {
+      el.classList.add(placeholderClass);
+    }
+    el.setAttribute(PERSONALIZATION_PENDING_ATTRIBUTE, "");
+    _pendingTimers.set(
+      el,
+      setTimeout(() => revealElement(el), _timeoutMs),
+    );
+  }
+}
+
+/**
+ * Watch for personalized elements added by client-side renders and route
+ * changes, so they don't stay hidden.
+ * @param {{timeoutMs?: number}} [options] - timeoutMs: how long an element
+ * waits for personalization data before its original content is shown
+ */
+function setupPersonalizationObserver(options = {}) {
+  _timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  if (_initialized) return;
+
+  if (!window.MutationObserver) {
+    console.warn("Personalizing new elements requires MutationObserver.");
+    return;
+  }
+
+  try {
+    const observer = new MutationObserver((mutations) => {
+      mutations.forEach((mutation) => {
+        if (mutation.type === "attributes") {
+          // A reused element now shows another personalization key
+          if (_status === "applied" || hasExperimentContent(mutation.target)) {
+            applyToElement(mutation.target, getCurrentData());
+          }
+        } else {
+          mutation.addedNodes.forEach((node) => {
+            findPersonalizedElements(node).forEach(handleNewElement);
+          });
+        }
+      });
+    });
+
+    const observe = () => {
+      observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ALL_PERSONALIZATION_ATTRIBUTES,
+      });
+      findPersonalizedElements(document).forEach(handleNewElement);
+    };
+    if (document.body) {
+      observe();
+    } else {
+      document.addEventListener("DOMContentLoaded", observe);
+    }
+
+    // Routes may reuse elements the observer doesn't see change
+    const unsubscribeRouteChange = onRouteChange(_refreshPersonalization);
+
+    _initialized = true;
+
+    _cleanup = () => {
+      if (!_initialized) return;
+      observer.disconnect();
+      document.removeEventListener("DOMContentLoaded", observe);
+      unsubscribeRouteChange();
+      _pendingTimers.forEach((timer) => clearTimeout(timer));
+      _pendingTimers = new Map();
+      _initialized = false;
+      _cleanup = null;
+    };
+  } catch (error) {
+    console.error("Error setting up personalization observer:", error);
+    if (_cleanup) {
+      _cleanup();
+    }
+  }
+}
+
+function cleanupPersonalizationObserver() {
+  if (_cleanup) {
+    _cleanup();
+  }
 }
 
-export { _applyPersonalization, _clearPersonalizationFlags };
+export {
+  _applyPersonalization,
+  _clearPersonalizationFlags,
+  _patchPersonalization,
+  _refreshPersonalization,
+  _setExperimentContent,
+  onPersonalizedElement,
+  setupPersonalizationObserver,
+  cleanupPersonalizationObserver,
+};
@@ -0,0 +1,93 @@
+/**
+ * Cache of the last personalization response in localStorage, so returning
+ * visitors see their content immediately while it is revalidated. Entries
+ * belong to one cid/aid and expire after ttlMs.
+ * @module personalizationCache
+ */
+import { getStorage } from "./storage.js";
+import { PERSONALIZATION_CACHE_STORAGE_KEY } from "../constants.js";
+
+const DEFAULT_OPTIONS = {
+  ttlMs: 60 * 60 * 1000,
+};
+
+let _options = DEFAULT_OPTIONS;
+let _enabled = true;
+
+/**
+ * Configure the personalization cache.
+ * @param {false | {ttlMs?: number}} [options] - false disables the cache
+ */
+function configurePersonalizationCache(options = {}) {
+  _enabled = options !== false;
+  _options = { ...DEFAULT_OPTIONS, ...(options || {}) };
+  if (!_enabled) {
+    clearPersonalizationCache();
+  }
+}
+
+/**
+ * Get the cached response data of a visitor.
+ * @param {string} cid
+ * @param {string} [aid]
+ * @returns {Object|null} The data of the personalization response, null if
+ * nothing fresh is cached for this cid/aid
+ */
+function readPersonalizationCache(cid, aid) {
+  const storage = getStorage();
+  if (!_enabled || !storage) return null;
+
+  try {
+    const raw = storage.getItem(PERSONALIZATION_CACHE_STORAGE_KEY);
+    const entry = raw ? JSON.parse(raw) : null;
+    if (!entry) return null;
+    if (
+      entry.cid !== cid ||
+      (entry.aid || null) !== (aid || null) ||
+      Date.now() - entry.storedAt > _options.ttlMs
+    ) {
+      storage.removeItem(PERSONALIZATION_CACHE_STORAGE_KEY);
+      return null;
+    }
+    return entry.data;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cache the response data of a visitor, replacing any other entry.
+ * @param {string} cid
+ * @param {string} [aid]
+ * @param {Object} data
+ */
+function writePersonalizationCache(cid, aid, data) {
+  const storage = getStorage();
+  if (!_enabled || !storage || !cid) return;
+
+  try {
+    storage.setItem(
+      PERSONALIZATION_CACHE_STORAGE_KEY,
+      JSON.stringify({ cid, aid: aid || null, storedAt: Date.now(), data }),
+    );
+  } catch (error) {
+    console.warn("Failed to cache personalization:", error);
+  }
+}
+
+function clearPersonalizationCache() {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    storage.removeItem(PERSONALIZATION_CACHE_STORAGE_KEY);
+  } catch {
+    // Nothing cached then
+  }
+}
+
+export {
+  configurePersonalizationCache,
+  readPersonalizationCache,
+  writePersonalizationCache,
+  clearPersonalizationCache,
+};
@@ -0,0 +1,71 @@
+/**
+ * Browser opt-out signals: Global Privacy Control and Do Not Track.
+ * @module privacySignals
+ */
+
+let _activeSignal = null;
+
+/**
+ * Read the opt-out signal sent by the browser, GPC taking precedence.
+ * @param {{gpc?: boolean, dnt?: boolean}} [options] - Which signals to look at
+ * @returns {"gpc"|"dnt"|null}
+ */
+function detectPrivacySignal(options = {}) {
+  if (typeof navigator === "undefined") return null;
+
+  if (options.gpc !== false && navigator.globalPrivacyControl === true) {
+    return "gpc";
+  }
+
+  if (options.dnt !== false) {
+    // Older browsers expose "yes" or put the flag on window / msDoNotTrack
+    const dnt =
+      navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    if (dnt === "1" || dnt === "yes") {
+      return "dnt";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether privacy signals are honored for this page.
+ * @param {boolean|{gpc?: boolean, dnt?: boolean}} [honor] - Falsy to ignore the signals
+ */
+function setupPrivacySignals(honor) {
+  _activeSignal = honor
+    ? detectPrivacySignal(typeof honor === "object" ? honor : {})
+    : null;
+}
+
+/**
+ * @returns {"gpc"|"dnt"|null} The honored signal, or null when tracking as usual
+ */
+function getActivePrivacySignal() {
+  return _activeSignal;
+}
+
+/**
+ * Form and input values are not captured while an opt-out signal is honored.
+ * @returns {boolean}
+ */
+function isValueCaptureSuppressed() {
+  return _activeSignal !== null;
+}
+
+/**
+ * Options for setCookie(): session-only cookies while an opt-out signal is honored.
+ * @returns {Object}
+ */
+function getCookieOptions() {
+  return _activeSignal ? { days: null } : {};
+}
+
+export {
+  detectPrivacySignal,
+  setupPrivacySignals,
+  getActivePrivacySignal,
+  isValueCaptureSuppressed,
+  getCookieOptions,
+};
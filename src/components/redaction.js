@@ -0,0 +1,155 @@
+/**
+ * PII redaction applied to form and input values before they leave the browser.
+ * @module redaction
+ */
+import { matchesSelector, closestMatching } from "./domUtils.js";
+import { isMasked, maskValue } from "./optOut.js";
+import { sha256 } from "./sha256.js";
+import {
+  REDACT_ATTRIBUTE,
+  ALLOW_VALUE_ATTRIBUTE,
+  HASH_ATTRIBUTE,
+  REDACTED_VALUE,
+} from "../constants.js";
+
+// Luhn-checked card numbers, 13 to 19 digits with optional spaces or dashes
+const CARD_CANDIDATE_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+// Country code, check digits and up to 30 alphanumerics, optionally grouped by 4
+const IBAN_CANDIDATE_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/gi;
+const SSN_PATTERN =
+  /\b(?!000|666|9\d\d)\d{3}[- ](?!00)\d{2}[- ](?!0000)\d{4}\b/g;
+
+function isLuhnValid(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits.charAt(i), 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616: move the first 4 characters to the end, letters to numbers, mod 97
+function isIbanValid(candidate) {
+  const iban = candidate.replace(/ /g, "").toUpperCase();
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (let i = 0; i < rearranged.length; i++) {
+    const code = rearranged.charCodeAt(i);
+    const chunk = code >= 65 ? String(code - 55) : rearranged.charAt(i);
+    remainder = parseInt(`${remainder}${chunk}`, 10) % 97;
+  }
+  return remainder === 1;
+}
+
+const DETECTORS = {
+  card: (value) =>
+    value.replace(CARD_CANDIDATE_PATTERN, (match) =>
+      isLuhnValid(match.replace(/\D/g, "")) ? REDACTED_VALUE : match,
+    ),
+  iban: (value) =>
+    value.replace(IBAN_CANDIDATE_PATTERN, (match) =>
+      isIbanValid(match) ? REDACTED_VALUE : match,
+    ),
+  ssn: (value) => value.replace(SSN_PATTERN, REDACTED_VALUE),
+};
+
+const DEFAULT_OPTIONS = {
+  detectors: Object.keys(DETECTORS),
+  allow: [],
+  deny: [],
+  hash: [],
+  hashEmails: false,
+};
+
+let _options = { ...DEFAULT_OPTIONS };
+
+/**
+ * Configure the redaction pipeline.
+ * @param {Object} [options]
+ * @param {Array<"card"|"iban"|"ssn">|false} [options.detectors] - Detectors run on
+ * every value, all of them by default
+ * @param {string[]} [options.allow] - Selectors of fields sent unchanged
+ * @param {string[]} [options.deny] - Selectors of fields always redacted
+ * @param {string[]} [options.hash] - Selectors of fields sent as a SHA-256 hash
+ * @param {boolean} [options.hashEmails=false] - Hash every email field
+ */
+function configureRedaction(options = {}) {
+  _options = { ...DEFAULT_OPTIONS, ...options };
+  if (_options.detectors === false) {
+    _options.detectors = [];
+  }
+}
+
+function isCardField(element) {
+  const autocomplete = (element.getAttribute("autocomplete") || "").trim();
+  // e.g. "cc-number", "billing cc-csc"
+  return /(^|\s)cc-/.test(autocomplete);
+}
+
+function normalizeForHash(element, value) {
+  const trimmed = value.trim();
+  return element.type === "email" || trimmed.indexOf("@") > 0
+    ? trimmed.toLowerCase()
+    : trimmed;
+}
+
+/**
+ * Run a field value through the redaction pipeline. Payment card fields are
+ * always redacted and data-lp-mask fields masked, then field attributes and
+ * selectors decide (allow, deny, hash) and detectors run on whatever is left.
+ * @param {Element} element - The field the value was read from
+ * @param {string} value
+ * @returns {string}
+ */
+function redactValue(element, value) {
+  if (typeof value !== "string" || !value) return value;
+
+  if (isCardField(element)) {
+    return REDACTED_VALUE;
+  }
+
+  if (isMasked(element)) {
+    return maskValue(value);
+  }
+
+  if (
+    closestMatching(element, `[${ALLOW_VALUE_ATTRIBUTE}]`) ||
+    matchesSelector(element, _options.allow)
+  ) {
+    return value;
+  }
+
+  if (
+    closestMatching(element, `[${REDACT_ATTRIBUTE}]`) ||
+    matchesSelector(element, _options.deny)
+  ) {
+    return REDACTED_VALUE;
+  }
+
+  if (
+    closestMatching(element, `[${HASH_ATTRIBUTE}]`) ||
+    matchesSelector(element, _options.hash) ||
+    (_options.hashEmails && element.type === "email")
+  ) {
+    try {
+      return `sha256:${sha256(normalizeForHash(element, value))}`;
+    } catch (error) {
+      // Never fall back to the raw value
+      console.warn("Failed to hash field value:", error);
+      return REDACTED_VALUE;
+    }
+  }
+
+  return _options.detectors.reduce((result, name) => {
+    const detector = DETECTORS[name];
+    return detector ? detector(result) : result;
+  }, value);
+}
+
+export { configureRedaction, redactValue };
@@ -1,11 +1,51 @@
-import { generateVisitId } from "./idGenerator.js";
 import { sendEvent } from "./trackerCore.js";
 import { UAParser } from "ua-parser-js";
+import { captureAttribution, getAttribution } from "./attribution.js";
+import { normalizeUrl } from "./urlNormalizer.js";
 
 let _initialized = false;
 let _cleanup = null;
+let _routeChangeListeners = [];
+// Normalized uri and title of the last tracked page view
+let _lastUri = null;
+let _lastTitle = null;
+let _previousUrl = null;
+let _routeChangeTimer = null;
+let _stopWaitingForTitle = null;
+// Sends the page view waiting for its title
+let _pendingPageView = null;
+
+// Frameworks often call pushState / replaceState several times per navigation
+const ROUTE_CHANGE_DEBOUNCE_MS = 100;
+// Longest wait for the new page to set its title
+const TITLE_TIMEOUT_MS = 1000;
 const parser = new UAParser();
 
+/**
+ * Register a listener called with the tracked uri on every page view,
+ * including the initial page load.
+ * @param {function(string): void} listener
+ * @returns {function(): void} Unsubscribe function
+ */
+export function onRouteChange(listener) {
+  _routeChangeListeners.push(listener);
+  return () => {
+    _routeChangeListeners = _routeChangeListeners.filter(
+      (item) => item !== listener,
+    );
+  };
+}
+
+function notifyRouteChange(uri) {
+  _routeChangeListeners.forEach((listener) => {
+    try {
+      listener(uri);
+    } catch (error) {
+      console.error("Route change listener failed:", error);
+    }
+  });
+}
+
 function getDeviceType() {
   // Check for iPad specifically first
   if (/iPad/.test(navigator.userAgent)) {
@@ -37,31 +77,120 @@ function getDeviceType() {
   return "desktop";
 }
 
-function _trackRouteChange() {
+function _trackRouteChange(basePath) {
   try {
     const deviceType = getDeviceType();
 
-    // const fullPath =
-    //   window.location.pathname + window.location.search + window.location.hash;
-
-    const basePath = window.location.pathname;
+    captureAttribution();
 
     const trackingData = {
       uri: basePath,
       timestamp: new Date().toISOString(),
-      previousURL: document.referrer,
+      // The referrer only describes how the visitor arrived on the first page
+      previousURL: _previousUrl === null ? document.referrer : _previousUrl,
       title: document.title,
       deviceType,
+      attribution: getAttribution(),
     };
 
+    _lastUri = basePath;
+    _lastTitle = document.title;
+    // Built from the normalized uri: the raw URL may carry tokens or emails
+    _previousUrl = `${window.location.origin}${basePath}`;
+
     sendEvent("page_visit", trackingData).catch((err) => {
       console.error("Page visit tracking failed:", err);
     });
+
+    notifyRouteChange(basePath);
   } catch (error) {
     console.error("Error in route tracking:", error);
   }
 }
 
+// Call callback once document.title changes, or after TITLE_TIMEOUT_MS for
+// pages that keep the same title
+function waitForTitle(previousTitle, callback) {
+  if (document.title !== previousTitle || !window.MutationObserver) {
+    callback();
+    return () => {};
+  }
+
+  let timer = null;
+  const observer = new MutationObserver(() => {
+    if (document.title !== previousTitle) {
+      done();
+    }
+  });
+  const stop = () => {
+    observer.disconnect();
+    clearTimeout(timer);
+  };
+  const done = () => {
+    stop();
+    callback();
+  };
+
+  observer.observe(document.head || document.documentElement, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+  });
+  timer = setTimeout(done, TITLE_TIMEOUT_MS);
+  return stop;
+}
+
+function cancelPendingRouteChange() {
+  if (_routeChangeTimer) {
+    clearTimeout(_routeChangeTimer);
+    _routeChangeTimer = null;
+  }
+  if (_stopWaitingForTitle) {
+    _stopWaitingForTitle();
+    _stopWaitingForTitle = null;
+  }
+  _pendingPageView = null;
+}
+
+// Another navigation started: send the page view still waiting for its
+// title with the title it has rather than losing it
+function flushPendingPageView() {
+  const send = _pendingPageView;
+  cancelPendingRouteChange();
+  if (send) send();
+}
+
+// Debounce bursts of history changes, skip the ones that keep the same
+// normalized URL (e.g. replaceState for scroll state or ignored parameters)
+function _handleHistoryChange() {
+  flushPendingPageView();
+
+  _routeChangeTimer = setTimeout(() => {
+    _routeChangeTimer = null;
+    trackPageView();
+  }, ROUTE_CHANGE_DEBOUNCE_MS);
+}
+
+/**
+ * Track a page view for the current URL once its title is set. Used by the
+ * history listeners and by router integrations that disable them. Skipped
+ * when the normalized URL is the one of the last page view.
+ */
+export function trackPageView() {
+  flushPendingPageView();
+
+  // The pathname, unless configured otherwise with init({ urlNormalization })
+  const basePath = normalizeUrl();
+  if (basePath === _lastUri) return;
+
+  _pendingPageView = () => _trackRouteChange(basePath);
+  _stopWaitingForTitle = waitForTitle(_lastTitle, () => {
+    _stopWaitingForTitle = null;
+    _pendingPageView = null;
+    _trackRouteChange(basePath);
+  });
+}
+
 export function setupRouteTracking() {
   if (_initialized) return;
 
@@ -78,30 +207,29 @@ export function setupRouteTracking() {
       return;
     }
 
-    generateVisitId();
-
     const _origPush = history.pushState;
     history.pushState = function (...args) {
       _origPush.apply(this, args);
-      _trackRouteChange();
+      _handleHistoryChange();
     };
 
     const _origReplace = history.replaceState;
     history.replaceState = function (...args) {
       _origReplace.apply(this, args);
-      _trackRouteChange();
+      _handleHistoryChange();
     };
 
-    const popstateHandler = _trackRouteChange;
-    window.addEventListener("popstate", popstateHandler);
+    // Hash routes fire both popstate and hashchange, the second is deduplicated
+    window.addEventListener("popstate", _handleHistoryChange);
+    window.addEventListener("hashchange", _handleHistoryChange);
 
     // Track initial page load
     if (document.readyState === "loading") {
       window.addEventListener("DOMContentLoaded", () => {
-        _trackRouteChange();
+        _trackRouteChange(normalizeUrl());
       });
     } else {
-      _trackRouteChange();
+      _trackRouteChange(normalizeUrl());
     }
 
     _initialized = true;
@@ -112,7 +240,12 @@ export function setupRouteTracking() {
 
       history.pushState = _origPush;
       history.replaceState = _origReplace;
-      window.removeEventListener("popstate", popstateHandler);
+      window.removeEventListener("popstate", _handleHistoryChange);
+      window.removeEventListener("hashchange", _handleHistoryChange);
+      cancelPendingRouteChange();
+      _lastUri = null;
+      _lastTitle = null;
+      _previousUrl = null;
       _initialized = false;
       _cleanup = null;
     };
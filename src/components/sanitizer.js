@@ -0,0 +1,152 @@
+/**
+ * Allowlist-based HTML sanitizer for personalized HTML content. Markup is
+ * parsed in an inert document, so nothing runs or loads while sanitizing,
+ * and only allowed tags and attributes are copied to the result.
+ * @module sanitizer
+ */
+
+const ALLOWED_TAGS = [
+  "a",
+  "abbr",
+  "b",
+  "blockquote",
+  "br",
+  "code",
+  "del",
+  "div",
+  "em",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "hr",
+  "i",
+  "img",
+  "li",
+  "mark",
+  "ol",
+  "p",
+  "picture",
+  "q",
+  "s",
+  "small",
+  "source",
+  "span",
+  "strong",
+  "sub",
+  "sup",
+  "u",
+  "ul",
+];
+
+// Removed with their content, other unknown tags are unwrapped
+const DROPPED_TAGS = [
+  "script",
+  "style",
+  "template",
+  "iframe",
+  "frame",
+  "frameset",
+  "object",
+  "embed",
+  "noscript",
+  "svg",
+  "math",
+  "form",
+  "textarea",
+  "select",
+  "button",
+  "input",
+];
+
+const GLOBAL_ATTRIBUTES = ["class", "title", "lang", "dir"];
+const TAG_ATTRIBUTES = {
+  a: ["href", "target", "rel"],
+  img: ["src", "srcset", "sizes", "alt", "width", "height", "loading"],
+  source: ["srcset", "sizes", "media", "type"],
+  abbr: ["title"],
+  q: ["cite"],
+  blockquote: ["cite"],
+  ol: ["start", "reversed"],
+  li: ["value"],
+};
+const URL_ATTRIBUTES = ["href", "src", "cite"];
+
+// Relative URLs are allowed, absolute ones only with these schemes
+const SAFE_URL_SCHEMES = ["http", "https", "mailto", "tel"];
+
+/**
+ * Check that a URL can't run script (javascript:, data:, vbscript:...).
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isSafeUrl(value) {
+  // Browsers ignore whitespace and control characters in the scheme
+  const url = String(value)
+    .split("")
+    .filter((char) => char.charCodeAt(0) > 32)
+    .join("");
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_URL_SCHEMES.indexOf(scheme[1].toLowerCase()) !== -1;
+}
+
+function isAllowedAttribute(tag, name, value) {
+  if (name.indexOf("aria-") === 0) return true;
+  if (
+    GLOBAL_ATTRIBUTES.indexOf(name) === -1 &&
+    (TAG_ATTRIBUTES[tag] || []).indexOf(name) === -1
+  ) {
+    return false;
+  }
+  return URL_ATTRIBUTES.indexOf(name) === -1 || isSafeUrl(value);
+}
+
+function copyAllowed(source, target) {
+  Array.from(source.childNodes).forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      target.appendChild(document.createTextNode(node.nodeValue));
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.indexOf(tag) !== -1) return;
+    if (ALLOWED_TAGS.indexOf(tag) === -1) {
+      copyAllowed(node, target);
+      return;
+    }
+
+    const element = document.createElement(tag);
+    Array.from(node.attributes).forEach(({ name, value }) => {
+      if (isAllowedAttribute(tag, name.toLowerCase(), value)) {
+        element.setAttribute(name, value);
+      }
+    });
+    // New tabs must not get a handle on this page
+    if (tag === "a" && element.getAttribute("target") === "_blank") {
+      element.setAttribute("rel", "noopener noreferrer");
+    }
+    copyAllowed(node, element);
+    target.appendChild(element);
+  });
+}
+
+/**
+ * Sanitize an HTML string.
+ * @param {string} html
+ * @returns {DocumentFragment} Only allowed tags and attributes, ready to be
+ * inserted in the page
+ */
+function sanitizeHtml(html) {
+  const fragment = document.createDocumentFragment();
+  if (!html) return fragment;
+
+  const inert = document.implementation.createHTMLDocument("");
+  inert.body.innerHTML = String(html);
+  copyAllowed(inert.body, fragment);
+  return fragment;
+}
+
+export { sanitizeHtml, isSafeUrl };
@@ -0,0 +1,181 @@
+import { sendEvent } from "./trackerCore.js";
+import { onRouteChange } from "./routeTracker.js";
+import { normalizeUrl } from "./urlNormalizer.js";
+import { closestMatching, getCssSelector } from "./domUtils.js";
+import { SCROLL_CONTAINER_ATTRIBUTE } from "../constants.js";
+
+const DEFAULT_MILESTONES = [25, 50, 75, 90, 100];
+// Minimum time between two depth measurements while scrolling
+const SCROLL_THROTTLE_MS = 200;
+
+let _milestones = DEFAULT_MILESTONES;
+let _initialized = false;
+let _cleanup = null;
+let _pagePath = null;
+let _reachedMilestones = [];
+let _maxDepth = 0;
+let _maxScrollPx = 0;
+
+/**
+ * Configure the scroll depth milestones, in percent.
+ * @param {{milestones?: number[]}} [options]
+ */
+export function configureScrollTracking(options = {}) {
+  _milestones = (options.milestones || DEFAULT_MILESTONES)
+    .filter((milestone) => milestone > 0 && milestone <= 100)
+    .sort((a, b) => a - b);
+}
+
+// Start a new page view: milestones can be reached again
+function resetScrollDepth() {
+  _pagePath = normalizeUrl();
+  _reachedMilestones = [];
+  _maxDepth = 0;
+  _maxScrollPx = 0;
+}
+
+// Helper to measure how far down the window has been scrolled, in percent
+function getWindowDepth() {
+  const doc = document.documentElement;
+  const scrollHeight = Math.max(doc.scrollHeight, document.body.scrollHeight);
+  const scrollTop = window.pageYOffset || doc.scrollTop;
+  const bottom = scrollTop + window.innerHeight;
+  return {
+    depth: scrollHeight > 0 ? (bottom / scrollHeight) * 100 : 100,
+    scrollPx: bottom,
+  };
+}
+
+// Helper to measure a scrollable container, e.g. an infinite-scroll feed
+function getContainerDepth(container) {
+  const bottom = container.scrollTop + container.clientHeight;
+  return {
+    depth:
+      container.scrollHeight > 0
+        ? (bottom / container.scrollHeight) * 100
+        : 100,
+    scrollPx: bottom,
+  };
+}
+
+function measure(container) {
+  // Route changes the pageViews module missed (e.g. when it is disabled)
+  if (normalizeUrl() !== _pagePath) {
+    resetScrollDepth();
+  }
+
+  const { depth, scrollPx } = container
+    ? getContainerDepth(container)
+    : getWindowDepth();
+  // Infinite scroll keeps growing the page: percentages are relative to the
+  // height at the time, the pixel depth keeps the absolute distance
+  _maxDepth = Math.max(_maxDepth, Math.min(100, Math.round(depth)));
+  _maxScrollPx = Math.max(_maxScrollPx, Math.round(scrollPx));
+
+  _milestones
+    .filter(
+      (milestone) =>
+        milestone <= _maxDepth && _reachedMilestones.indexOf(milestone) === -1,
+    )
+    .forEach((milestone) => {
+      _reachedMilestones.push(milestone);
+      sendEvent("scroll_depth", {
+        depth: milestone,
+        uri: _pagePath,
+        maxScrollPx: _maxScrollPx,
+        container: container ? getCssSelector(container) : null,
+      }).catch((err) => {
+        console.error("Scroll depth tracking failed:", err);
+      });
+    });
+}
+
+/**
+ * Get the deepest scroll position reached during the current page view.
+ * @returns {{maxScrollDepth: number, maxScrollPx: number}|null} Null when
+ * scroll tracking is off
+ */
+export function getScrollDepth() {
+  if (!_initialized) return null;
+  return { maxScrollDepth: _maxDepth, maxScrollPx: _maxScrollPx };
+}
+
+// Setup scroll depth tracking
+export function setupScrollTracking() {
+  if (_initialized) return;
+
+  try {
+    let lastMeasure = 0;
+    let throttleTimer = null;
+    let pendingContainer = null;
+
+    // Capturing scroll events also catches scrolling inside elements
+    const handleScroll = (event) => {
+      const target = event.target;
+      const container =
+        target && target.nodeType === Node.ELEMENT_NODE
+          ? closestMatching(target, `[${SCROLL_CONTAINER_ATTRIBUTE}]`)
+          : null;
+      // Ignore scrollable elements that are not marked as containers
+      if (target && target.nodeType === Node.ELEMENT_NODE && !container) {
+        return;
+      }
+
+      pendingContainer = container;
+      const wait = SCROLL_THROTTLE_MS - (Date.now() - lastMeasure);
+      if (wait <= 0) {
+        lastMeasure = Date.now();
+        measure(pendingContainer);
+      } else if (!throttleTimer) {
+        throttleTimer = setTimeout(() => {
+          throttleTimer = null;
+          lastMeasure = Date.now();
+          measure(pendingContainer);
+        }, wait);
+      }
+    };
+
+    const options = { capture: true, passive: true };
+    document.addEventListener("scroll", handleScroll, options);
+
+    const unsubscribeRouteChange = onRouteChange(() => {
+      // The new route may still be rendering, measure on the next scroll
+      if (normalizeUrl() !== _pagePath) {
+        resetScrollDepth();
+      }
+    });
+
+    resetScrollDepth();
+    _initialized = true;
+
+    // Short pages are fully visible without scrolling
+    if (document.readyState === "loading") {
+      window.addEventListener("DOMContentLoaded", () => measure(null));
+    } else {
+      measure(null);
+    }
+
+    _cleanup = () => {
+      if (!_initialized) return;
+      document.removeEventListener("scroll", handleScroll, options);
+      unsubscribeRouteChange();
+      if (throttleTimer) {
+        clearTimeout(throttleTimer);
+      }
+      _initialized = false;
+      _cleanup = null;
+    };
+  } catch (error) {
+    console.error("Error setting up scroll tracking:", error);
+    if (_cleanup) {
+      _cleanup();
+    }
+  }
+}
+
+// Cleanup scroll depth tracking
+export function cleanupScrollTracking() {
+  if (_cleanup) {
+    _cleanup();
+  }
+}
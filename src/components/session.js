@@ -0,0 +1,154 @@
+/**
+ * Session model: a session lasts until the visitor has been inactive for the
+ * configured timeout, the day changes, or they arrive from a new campaign.
+ * Sessions are shared between tabs through a first-party cookie, with
+ * sessionStorage as a fallback when cookies are blocked.
+ * @module session
+ */
+import { setCookie, getCookie } from "./cookie.js";
+import { generateId } from "./idGenerator.js";
+import { getCookieOptions } from "./privacySignals.js";
+import { getCampaignKey } from "./attribution.js";
+import {
+  SESSION_COOKIE_NAME,
+  SESSION_NUMBER_COOKIE_NAME,
+  SESSION_STORAGE_KEY,
+} from "../constants.js";
+
+const DEFAULT_TIMEOUT_MINUTES = 30;
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id
+ * @property {number} number - 1 for the visitor's first session, 2 for the next...
+ * @property {number} startedAt
+ * @property {number} lastActivityAt
+ * @property {number} eventCount - Events sent during the session so far
+ * @property {string} campaign - Campaign parameters the session started with
+ */
+
+let _timeoutMs = DEFAULT_TIMEOUT_MINUTES * 60 * 1000;
+// Source of truth when the session cannot be persisted (e.g. no consent yet)
+let _memorySession = null;
+
+/**
+ * Configure the inactivity timeout.
+ * @param {{timeoutMinutes?: number}} [options]
+ */
+function configureSession(options = {}) {
+  _timeoutMs = (options.timeoutMinutes || DEFAULT_TIMEOUT_MINUTES) * 60 * 1000;
+}
+
+function parseSession(raw) {
+  try {
+    const session = raw ? JSON.parse(raw) : null;
+    return session && typeof session.id === "string" ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+function loadSession() {
+  // Another tab may have updated the session: read document.cookie directly
+  // rather than the per-page cookie cache
+  const match = document.cookie.match(
+    new RegExp(`(?:^|; )${SESSION_COOKIE_NAME}=([^;]*)`),
+  );
+  const fromCookie = match ? parseSession(decodeURIComponent(match[1])) : null;
+  if (fromCookie) return fromCookie;
+
+  try {
+    return parseSession(window.sessionStorage.getItem(SESSION_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function saveSession(session) {
+  const raw = JSON.stringify(session);
+  // A browser-session cookie: inactivity expiry is handled by lastActivityAt
+  setCookie(SESSION_COOKIE_NAME, raw, { days: null });
+  try {
+    window.sessionStorage.setItem(SESSION_STORAGE_KEY, raw);
+  } catch {
+    // sessionStorage unavailable, the cookie is enough
+  }
+}
+
+// Why the current session can't continue, or null if it can
+function getRolloverReason(session, now, campaign) {
+  if (now - session.lastActivityAt > _timeoutMs) return "timeout";
+  if (
+    new Date(session.startedAt).toDateString() !== new Date(now).toDateString()
+  ) {
+    return "midnight";
+  }
+  if (campaign && campaign !== session.campaign) return "campaign";
+  return null;
+}
+
+function startSession(previous, now, campaign, persist) {
+  const lastNumber = Math.max(
+    previous ? previous.number : 0,
+    persist ? parseInt(getCookie(SESSION_NUMBER_COOKIE_NAME), 10) || 0 : 0,
+  );
+  const session = {
+    id: generateId(),
+    number: lastNumber + 1,
+    startedAt: now,
+    lastActivityAt: now,
+    eventCount: 0,
+    campaign,
+  };
+  if (persist) {
+    setCookie(
+      SESSION_NUMBER_COOKIE_NAME,
+      String(session.number),
+      getCookieOptions(),
+    );
+  }
+  return session;
+}
+
+/**
+ * Get the current session without recording activity.
+ * @returns {Session|null}
+ */
+function getSession() {
+  return loadSession() || _memorySession;
+}
+
+/**
+ * Record activity for one event. Starts a new session when there is none or
+ * the current one has expired, and numbers the event within its session.
+ * @param {boolean} persist - Whether the session may be stored (consent)
+ * @returns {{session: Session, previous: Session|null, reason: string|null}}
+ * `previous` is the session that just ended and `reason` why a new session
+ * was started ("new", "timeout", "midnight" or "campaign")
+ */
+function touchSession(persist) {
+  const now = Date.now();
+  const campaign = getCampaignKey();
+  const current = (persist && loadSession()) || _memorySession;
+
+  let session = current;
+  let previous = null;
+  const reason = current ? getRolloverReason(current, now, campaign) : "new";
+  if (reason) {
+    previous = current;
+    session = startSession(current, now, campaign, persist);
+  } else {
+    session = { ...current };
+  }
+
+  session.lastActivityAt = now;
+  session.eventCount += 1;
+
+  _memorySession = session;
+  if (persist) {
+    saveSession(session);
+  }
+  return { session, previous, reason };
+}
+
+export { configureSession, getSession, touchSession };
@@ -0,0 +1,146 @@
+/**
+ * Synchronous SHA-256, for values that must be hashed before an event is
+ * sent. WebCrypto only hashes asynchronously, too late for a form submit
+ * that unloads the page.
+ * @module sha256
+ */
+
+// First 32 bits of the fractional parts of the cube roots of the first 64
+// primes
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+// UTF-8 bytes of a string, TextEncoder is missing in older browsers
+function toUtf8Bytes(value) {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    let code = value.charCodeAt(i);
+    // Surrogate pair
+    if (code >= 0xd800 && code < 0xdc00 && i + 1 < value.length) {
+      const low = value.charCodeAt(i + 1);
+      if (low >= 0xdc00 && low < 0xe000) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (low - 0xdc00);
+        i++;
+      }
+    }
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(
+        0xe0 | (code >> 12),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f),
+      );
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f),
+      );
+    }
+  }
+  return bytes;
+}
+
+function rotateRight(value, bits) {
+  return (value >>> bits) | (value << (32 - bits));
+}
+
+/**
+ * SHA-256 hex digest of a string, hashed as UTF-8.
+ * @param {string} value
+ * @returns {string}
+ */
+function sha256(value) {
+  const bytes = toUtf8Bytes(String(value));
+  const bitLength = bytes.length * 8;
+
+  // Padding: 0x80, zeros, then the length as a 64-bit big-endian number
+  bytes.push(0x80);
+  while (bytes.length % 64 !== 56) {
+    bytes.push(0);
+  }
+  const high = Math.floor(bitLength / 0x100000000);
+  for (let shift = 24; shift >= 0; shift -= 8) {
+    bytes.push((high >>> shift) & 0xff);
+  }
+  for (let shift = 24; shift >= 0; shift -= 8) {
+    bytes.push((bitLength >>> shift) & 0xff);
+  }
+
+  const hash = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+    0x1f83d9ab, 0x5be0cd19,
+  ];
+  const words = new Array(64);
+
+  for (let offset = 0; offset < bytes.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      const index = offset + i * 4;
+      words[i] =
+        (bytes[index] << 24) |
+        (bytes[index + 1] << 16) |
+        (bytes[index + 2] << 8) |
+        bytes[index + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 =
+        rotateRight(words[i - 15], 7) ^
+        rotateRight(words[i - 15], 18) ^
+        (words[i - 15] >>> 3);
+      const s1 =
+        rotateRight(words[i - 2], 17) ^
+        rotateRight(words[i - 2], 19) ^
+        (words[i - 2] >>> 10);
+      words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+      const choice = (e & f) ^ (~e & g);
+      const temp1 = (h + S1 + choice + K[i] + words[i]) | 0;
+      const S0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+      const majority = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (S0 + majority) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) | 0;
+    }
+
+    hash[0] = (hash[0] + a) | 0;
+    hash[1] = (hash[1] + b) | 0;
+    hash[2] = (hash[2] + c) | 0;
+    hash[3] = (hash[3] + d) | 0;
+    hash[4] = (hash[4] + e) | 0;
+    hash[5] = (hash[5] + f) | 0;
+    hash[6] = (hash[6] + g) | 0;
+    hash[7] = (hash[7] + h) | 0;
+  }
+
+  return hash
+    .map((word) => ("00000000" + (word >>> 0).toString(16)).slice(-8))
+    .join("");
+}
+
+export { sha256 };
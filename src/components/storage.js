@@ -0,0 +1,20 @@
+/**
+ * Web Storage access for modules persisting data in the browser.
+ * @module storage
+ */
+
+/**
+ * Get localStorage or sessionStorage, null when the browser blocks it
+ * (disabled cookies, sandboxed iframes...).
+ * @param {"localStorage"|"sessionStorage"} [type="localStorage"]
+ * @returns {Storage|null}
+ */
+function getStorage(type = "localStorage") {
+  try {
+    return window[type] || null;
+  } catch {
+    return null;
+  }
+}
+
+export { getStorage };
@@ -0,0 +1,219 @@
+/**
+ * Template interpolation for personalized content:
+ *
+ *   "Welcome back, {{firstName|there}}"
+ *   "{{company}} teams save {{savings:number(1)}}%"
+ *   "{{seats:plural(# seat,# seats)}} left, from {{price:currency(EUR)}}"
+ *
+ * Values come from the traits of the personalization response and the local
+ * traits set with setTraits(), which take precedence. Formatters can be
+ * chained ({{name:trim:upper}}), the text after "|" is used when the value is
+ * missing, and \{{ is a literal "{{".
+ * @module templates
+ */
+
+let _responseTraits = {};
+let _localTraits = {};
+
+/**
+ * Set the traits received with the personalization response.
+ * @param {Object} [traits]
+ */
+function setResponseTraits(traits) {
+  _responseTraits = traits && typeof traits === "object" ? traits : {};
+}
+
+/**
+ * Merge traits known on the page, e.g. from a logged-in user. Pass null to
+ * clear them.
+ * @param {Object|null} traits
+ */
+function setLocalTraits(traits) {
+  _localTraits =
+    traits && typeof traits === "object" ? { ..._localTraits, ...traits } : {};
+}
+
+function getLocale() {
+  return (
+    document.documentElement.lang ||
+    (typeof navigator !== "undefined" && navigator.language) ||
+    "en"
+  );
+}
+
+// Helper to read "company.name" style paths
+function lookup(path) {
+  const read = (source) =>
+    path.split(".").reduce((value, part) => {
+      return value !== null && value !== undefined ? value[part] : undefined;
+    }, source);
+  const local = read(_localTraits);
+  return local !== undefined && local !== null ? local : read(_responseTraits);
+}
+
+function toNumber(value) {
+  const number = typeof value === "number" ? value : parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function formatNumber(value, options) {
+  const number = toNumber(value);
+  if (number === null) return String(value);
+  try {
+    return new Intl.NumberFormat(getLocale(), options).format(number);
+  } catch {
+    return String(number);
+  }
+}
+
+// dateStyle is missing in older browsers, spell the styles out
+const DATE_STYLES = {
+  short: { year: "numeric", month: "numeric", day: "numeric" },
+  medium: { year: "numeric", month: "short", day: "numeric" },
+  long: { year: "numeric", month: "long", day: "numeric" },
+  full: { weekday: "long", year: "numeric", month: "long", day: "numeric" },
+};
+
+function formatDate(value, style) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  try {
+    return new Intl.DateTimeFormat(
+      getLocale(),
+      DATE_STYLES[style] || DATE_STYLES.medium,
+    ).format(date);
+  } catch {
+    return date.toDateString();
+  }
+}
+
+// plural(one,other) or plural(one=...,few=...,other=...); "#" is the count
+function formatPlural(value, args) {
+  const count = toNumber(value);
+  if (count === null) return String(value);
+
+  const forms = {};
+  args.forEach((arg, index) => {
+    const match = arg.match(/^(zero|one|two|few|many|other)=(.*)$/);
+    if (match) {
+      forms[match[1]] = match[2];
+    } else {
+      forms[index === 0 ? "one" : "other"] = arg;
+    }
+  });
+
+  let category = count === 1 ? "one" : "other";
+  try {
+    category = new Intl.PluralRules(getLocale()).select(count);
+  } catch {
+    // Intl.PluralRules unavailable, English rules it is
+  }
+  const form = forms[category] !== undefined ? forms[category] : forms.other;
+  return (form || "").replace(/#/g, formatNumber(count));
+}
+
+const FORMATTERS = {
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = String(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  trim: (value) => String(value).trim(),
+  number: (value, [digits]) =>
+    formatNumber(
+      value,
+      digits !== undefined ? { maximumFractionDigits: Number(digits) } : {},
+    ),
+  percent: (value, [digits]) =>
+    formatNumber(value, {
+      style: "percent",
+      maximumFractionDigits: digits !== undefined ? Number(digits) : 0,
+    }),
+  currency: (value, [currency = "USD"]) =>
+    formatNumber(value, { style: "currency", currency }),
+  date: (value, [style]) => formatDate(value, style),
+  plural: (value, args) => formatPlural(value, args),
+};
+
+// Split "a:b(x,y)|fallback" on separator, ignoring separators inside ()
+function splitOutsideParens(text, separator, limit) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charAt(i);
+    if (char === "(") depth++;
+    if (char === ")") depth = Math.max(0, depth - 1);
+    if (char === separator && depth === 0 && parts.length < limit - 1) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+function applyFormatter(value, expression) {
+  const match = expression.trim().match(/^(\w+)(?:\((.*)\))?$/);
+  const formatter = match && FORMATTERS[match[1]];
+  if (!formatter) {
+    console.warn(`Unknown template formatter: ${expression}`);
+    return value;
+  }
+  const args = match[2] ? match[2].split(",").map((arg) => arg.trim()) : [];
+  return formatter(value, args);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderExpression(expression) {
+  const [body, fallback = ""] = splitOutsideParens(expression, "|", 2);
+  const [key, ...formatters] = splitOutsideParens(body, ":", Infinity);
+
+  const value = lookup(key.trim());
+  if (value === undefined || value === null || value === "") {
+    return fallback.trim();
+  }
+  return String(
+    formatters.reduce(
+      (result, formatter) => applyFormatter(result, formatter),
+      value,
+    ),
+  );
+}
+
+/**
+ * Resolve the {{...}} placeholders of a string.
+ * @param {string} template
+ * @param {{html?: boolean}} [options] - html: escape the values, for
+ * templates rendered as HTML
+ * @returns {string}
+ */
+function renderTemplate(template, options = {}) {
+  if (typeof template !== "string" || template.indexOf("{{") === -1) {
+    return template;
+  }
+  return template.replace(
+    /(\\?)\{\{([\s\S]+?)\}\}/g,
+    (placeholder, escaped, expression) => {
+      if (escaped) return placeholder.slice(1);
+      try {
+        const value = renderExpression(expression);
+        return options.html ? escapeHtml(value) : value;
+      } catch (error) {
+        console.warn(`Template placeholder failed: ${placeholder}`, error);
+        return "";
+      }
+    },
+  );
+}
+
+export { renderTemplate, setResponseTraits, setLocalTraits };
@@ -4,61 +4,174 @@ import "whatwg-fetch";
 import "regenerator-runtime/runtime";
 
 import { getCookie, setCookie } from "./cookie.js";
-import { generateId, generateVisitId } from "./idGenerator.js";
-import { setupRouteTracking } from "./routeTracker.js";
-import { setupFormTracking } from "./formTracker.js";
-import { setupInputTracking } from "./inputTracker.js";
-import { setupClickTracking } from "./clickTracker.js";
+import { generateId } from "./idGenerator.js";
+import {
+  setupRouteTracking,
+  cleanupRouteTracking,
+  trackPageView as _trackPageView,
+} from "./routeTracker.js";
+import { setupFormTracking, cleanupFormTracking } from "./formTracker.js";
+import { setupInputTracking, cleanupInputTracking } from "./inputTracker.js";
+import { setupClickTracking, cleanupClickTracking } from "./clickTracker.js";
+import {
+  setupCustomEventTracking,
+  cleanupCustomEventTracking,
+} from "./customEventTracker.js";
+import {
+  configureFrustrationTracking,
+  setupFrustrationTracking,
+  cleanupFrustrationTracking,
+} from "./frustrationTracker.js";
+import {
+  configureScrollTracking,
+  setupScrollTracking,
+  cleanupScrollTracking,
+  getScrollDepth,
+} from "./scrollTracker.js";
+import {
+  configureImpressionTracking,
+  setupImpressionTracking,
+  cleanupImpressionTracking,
+} from "./impressionTracker.js";
+import {
+  startEngagement,
+  stopEngagement,
+  getEngagement,
+  isEngagementRunning,
+} from "./engagement.js";
+import { configureSession, getSession, touchSession } from "./session.js";
+import { captureAttribution } from "./attribution.js";
+import { setLocalTraits, setResponseTraits } from "./templates.js";
+import {
+  configurePersonalizationCache,
+  readPersonalizationCache,
+  writePersonalizationCache,
+  clearPersonalizationCache,
+} from "./personalizationCache.js";
+import {
+  configureExperiments,
+  runExperiments,
+  getExperimentVariant,
+} from "./experiments.js";
+import { configureUrlNormalization, normalizeUrl } from "./urlNormalizer.js";
 import {
   initFingerprint,
   getVisitorId,
   isAvailable,
 } from "./fingerprintManager.js";
+import {
+  configureQueue,
+  enqueueEvent,
+  setupEventQueue,
+  cleanupEventQueue,
+  clearEventQueue,
+  getQueueStats,
+  isOnline,
+} from "./eventQueue.js";
+import {
+  setupConsent,
+  cleanupConsent,
+  setConsent,
+  getConsent,
+  hasConsent,
+  canPersist,
+  isConsentPending,
+  onConsentChange,
+} from "./consent.js";
+import {
+  setupPrivacySignals,
+  getActivePrivacySignal,
+  getCookieOptions,
+} from "./privacySignals.js";
+import { configureRedaction } from "./redaction.js";
+import {
+  setupBatching,
+  addToBatch,
+  takeBatch,
+  sendEntries,
+  cleanupBatching,
+} from "./eventBatcher.js";
+import {
+  fitsKeepalive,
+  sendBeacon,
+  setupUnloadFlush,
+} from "./unloadTransport.js";
 import {
   CID_COOKIE_NAME,
   AID_COOKIE_NAME,
-  ALL_PERSONALIZATION_ATTRIBUTES,
-  PERSONALIZATION_FLAG,
   ENFORCE_IP_COOKIE_NAME,
 } from "../constants.js";
 import {
   _applyPersonalization,
   _clearPersonalizationFlags,
+  _patchPersonalization,
+  _refreshPersonalization,
+  setupPersonalizationObserver,
 } from "./personalization.js";
+import { startAntiFlicker, configureAntiFlicker } from "./antiFlicker.js";
 
 let BASE_URL = "";
 let fingerprintEnabled = false;
 let _lastEventTimestamp = Date.now();
-let _lastHeartbeatTimestamp = Date.now();
 let _heartbeatInterval = null;
 let _isHeartbeatRunning = false;
-let _isNextJS = false;
-
-// Detect if running in Next.js environment
-function detectNextJS() {
-  return (
-    typeof window !== "undefined" &&
-    (window.__NEXT_DATA__ ||
-      window.next ||
-      document.querySelector("[data-nextjs-router]") ||
-      document.querySelector('script[src*="/_next/"]'))
-  );
+let _heartbeatIntervalMs = 15000;
+let _idleTimeoutMs = 30000;
+let _lastHeartbeatActiveMs = -1;
+let _lastPageLeaveActiveMs = -1;
+let _queueEnabled = true;
+let _batchEnabled = false;
+let _batchSupported = true;
+let _batchEndpoint = "/events/batch";
+let _beaconEndpoint = "/events/beacon";
+let _lastUserId = null;
+let _memoryUserId = null;
+let _debug = false;
+let _consentBuffer = [];
+let _deferredPersonalization = null;
+let _unsubscribeConsent = null;
+// Last personalization data received, for re-applying and framework hooks
+let _personalization = null;
+let _personalizationListeners = [];
+
+// Events held in memory while analytics consent is pending
+const MAX_CONSENT_BUFFER_SIZE = 100;
+
+// Metadata sendEvent adds next to the data of every event
+const WRAPPED_EVENT_KEYS = [
+  "visitId",
+  "sessionId",
+  "sessionNumber",
+  "sessionSequence",
+  "privacySignal",
+];
+
+// Statuses meaning the server won't take a batch and events must be sent one by one
+const BATCH_REJECTED_STATUSES = [400, 404, 405, 413, 415, 501];
+
+/**
+ * Hide elements until personalization is applied, see init({ personalization })
+ * for the strategy and timeouts. Skipped when the framework adapters are
+ * imported during server-side rendering.
+ */
+if (typeof document !== "undefined") {
+  startAntiFlicker();
 }
 
 /**
- * Set up a style element to hide elements until personalization is applied.
+ * Data sent with each heartbeat and with page_leave: engaged and total time
+ * on the page, plus the deepest scroll position when scroll tracking is on.
+ * @returns {{activeMs: number, totalMs: number}}
  */
-const style = document.createElement("style");
-const styles = ALL_PERSONALIZATION_ATTRIBUTES.map(
-  (attr) => `[${attr}]:not([${PERSONALIZATION_FLAG}="true"]) {
-          opacity: 0 !important;
-        }`,
-).join("\n");
-style.textContent = styles;
-document.head.appendChild(style);
+function _getEngagementData() {
+  const { activeMs, totalMs } = getEngagement();
+  return { activeMs, totalMs, ...(getScrollDepth() || {}) };
+}
 
 /**
- * Start a passive heartbeat that sends visit duration updates.
+ * Start a passive heartbeat that sends visit duration updates. Heartbeats
+ * are skipped while the tab is hidden or the user is idle, so durations
+ * only grow with engaged time.
  */
 function startPassiveHeartbeat(intervalMs = 15000) {
   if (_heartbeatInterval) {
@@ -66,64 +179,27 @@ function startPassiveHeartbeat(intervalMs = 15000) {
     _heartbeatInterval = null;
   }
 
-  // Use a more reliable timing approach for Next.js
-  if (_isNextJS) {
-    // For Next.js, use absolute timing instead of relative timing
-    let heartbeatStartTime = Date.now();
-    let heartbeatCount = 0;
-
-    _heartbeatInterval = setInterval(() => {
-      if (_isHeartbeatRunning) {
-        return;
-      }
-
-      // Calculate when this heartbeat should fire based on absolute timing
-      const expectedTime =
-        heartbeatStartTime + (heartbeatCount + 1) * intervalMs;
-      const now = Date.now();
-
-      // Only fire if we're within reasonable timing window
-      if (now >= expectedTime - 1000) {
-        // 1 second tolerance
-        heartbeatCount++;
-        _isHeartbeatRunning = true;
-
-        sendEvent("visit_duration_update")
-          .then(() => {
-            _lastHeartbeatTimestamp = Date.now();
-          })
-          .catch((err) => {
-            console.warn("Passive heartbeat failed:", err);
-          })
-          .finally(() => {
-            _isHeartbeatRunning = false;
-          });
-      }
-    }, intervalMs);
-  } else {
-    // Original logic for non-Next.js environments
-    _heartbeatInterval = setInterval(() => {
-      if (_isHeartbeatRunning) {
-        return;
-      }
+  _heartbeatInterval = setInterval(() => {
+    if (_isHeartbeatRunning) {
+      return;
+    }
 
-      const now = Date.now();
-      if (now - _lastHeartbeatTimestamp > intervalMs - 100) {
-        _isHeartbeatRunning = true;
-
-        sendEvent("visit_duration_update")
-          .then(() => {
-            _lastHeartbeatTimestamp = Date.now();
-          })
-          .catch((err) => {
-            console.warn("Passive heartbeat failed:", err);
-          })
-          .finally(() => {
-            _isHeartbeatRunning = false;
-          });
-      }
-    }, intervalMs);
-  }
+    const data = _getEngagementData();
+    // Nothing new to report since the last heartbeat
+    if (data.activeMs === _lastHeartbeatActiveMs) {
+      return;
+    }
+    _lastHeartbeatActiveMs = data.activeMs;
+    _isHeartbeatRunning = true;
+
+    sendEvent("visit_duration_update", data)
+      .catch((err) => {
+        console.warn("Passive heartbeat failed:", err);
+      })
+      .finally(() => {
+        _isHeartbeatRunning = false;
+      });
+  }, intervalMs);
 }
 
 /**
@@ -138,8 +214,168 @@ function stopPassiveHeartbeat() {
 }
 
 /**
- * Initialize with a base URL and ensure LP_COOKIE exists.
- * @param {{url: string, fingerprintFallback?: boolean, debug?: boolean}} options
+ * Auto-tracking modules that can be toggled with init({ autoTrack }) or at
+ * runtime with enable() / disable().
+ */
+const TRACKING_MODULES = {
+  pageViews: { setup: setupRouteTracking, cleanup: cleanupRouteTracking },
+  clicks: { setup: setupClickTracking, cleanup: cleanupClickTracking },
+  forms: { setup: setupFormTracking, cleanup: cleanupFormTracking },
+  inputs: { setup: setupInputTracking, cleanup: cleanupInputTracking },
+  // data-lp-event elements, with click, submit and view triggers
+  customEvents: {
+    setup: setupCustomEventTracking,
+    cleanup: cleanupCustomEventTracking,
+  },
+  scrollDepth: { setup: setupScrollTracking, cleanup: cleanupScrollTracking },
+  impressions: {
+    setup: setupImpressionTracking,
+    cleanup: cleanupImpressionTracking,
+  },
+  // rage_click, dead_click and error_click
+  frustration: {
+    setup: setupFrustrationTracking,
+    cleanup: cleanupFrustrationTracking,
+  },
+  // visit_duration_update while engaged, page_leave when the page is left
+  heartbeat: {
+    setup: () => {
+      startEngagement({ idleTimeoutMs: _idleTimeoutMs });
+      startPassiveHeartbeat(_heartbeatIntervalMs);
+    },
+    cleanup: () => {
+      stopPassiveHeartbeat();
+      stopEngagement();
+    },
+  },
+};
+
+// Modules on unless set to false. The others add event volume, existing
+// installs only get them when they are set to true.
+const DEFAULT_TRACKING_MODULES = [
+  "pageViews",
+  "clicks",
+  "forms",
+  "inputs",
+  "heartbeat",
+];
+
+/**
+ * Resolve which auto-tracking modules are enabled. The default modules are on
+ * unless set to false, the others only when set, and `autoTrack: false`
+ * turns them all off.
+ * @param {boolean|Object} [autoTrack]
+ * @returns {Object<string, boolean>}
+ */
+function _resolveAutoTrack(autoTrack) {
+  const settings = autoTrack && typeof autoTrack === "object" ? autoTrack : {};
+  const enabled = {};
+  Object.keys(TRACKING_MODULES).forEach((module) => {
+    const setting = settings[module];
+    enabled[module] =
+      autoTrack !== false &&
+      (setting === undefined
+        ? DEFAULT_TRACKING_MODULES.indexOf(module) !== -1
+        : setting !== false);
+  });
+  return enabled;
+}
+
+/**
+ * Look up a tracking module by name for enable() / disable().
+ * @param {string} module
+ * @returns {{setup: function, cleanup: function}}
+ */
+function _getTrackingModule(module) {
+  if (!BASE_URL) {
+    throw new Error(
+      "Liftpilot Event Tracking is not initialized. Call init() first.",
+    );
+  }
+  if (!Object.prototype.hasOwnProperty.call(TRACKING_MODULES, module)) {
+    throw new Error(
+      `Unknown tracking module: ${module}. Expected one of: ${Object.keys(TRACKING_MODULES).join(", ")}`,
+    );
+  }
+  return TRACKING_MODULES[module];
+}
+
+/**
+ * Turn on an auto-tracking module at runtime.
+ * @param {"pageViews"|"clicks"|"forms"|"inputs"|"customEvents"|"scrollDepth"|"impressions"|"frustration"|"heartbeat"} module
+ */
+function enable(module) {
+  _getTrackingModule(module).setup();
+}
+
+/**
+ * Turn off an auto-tracking module at runtime.
+ * @param {"pageViews"|"clicks"|"forms"|"inputs"|"customEvents"|"scrollDepth"|"impressions"|"frustration"|"heartbeat"} module
+ */
+function disable(module) {
+  _getTrackingModule(module).cleanup();
+}
+
+/**
+ * Initialize with a base URL and ensure LP_COOKIE exists. The customEvents,
+ * frustration, scrollDepth and impressions auto-tracking modules are off
+ * unless set to true.
+ * @param {{
+ *   url: string,
+ *   fingerprintFallback?: boolean,
+ *   debug?: boolean,
+ *   queue?: false | {maxSize?: number, maxAgeMs?: number, baseDelayMs?: number, maxDelayMs?: number, maxAttempts?: number},
+ *   batch?: boolean | {maxSize?: number, windowMs?: number, endpoint?: string},
+ *   beaconEndpoint?: string,
+ *   honorPrivacySignals?: boolean | {gpc?: boolean, dnt?: boolean},
+ *   redaction?: {
+ *     detectors?: Array<"card"|"iban"|"ssn"> | false,
+ *     allow?: string[],
+ *     deny?: string[],
+ *     hash?: string[],
+ *     hashEmails?: boolean,
+ *   },
+ *   scrollDepth?: {milestones?: number[]},
+ *   impressions?: {threshold?: number, minVisibleMs?: number},
+ *   frustration?: {
+ *     rageClick?: false | {clicks?: number, windowMs?: number, radiusPx?: number},
+ *     deadClick?: false | {timeoutMs?: number},
+ *     errorClick?: false | {windowMs?: number},
+ *   },
+ *   session?: {timeoutMinutes?: number},
+ *   experiments?: Array<{
+ *     id: string,
+ *     holdout?: number,
+ *     variants: Array<{id: string, weight?: number, content?: Object}>,
+ *   }>,
+ *   personalization?: {
+ *     timeoutMs?: number,
+ *     strategy?: "hide"|"placeholder"|"none",
+ *     hardTimeoutMs?: number,
+ *     fadeMs?: number,
+ *     placeholderClass?: string,
+ *     reportTiming?: boolean,
+ *     cache?: false | {ttlMs?: number},
+ *   },
+ *   urlNormalization?: {
+ *     hashRouting?: boolean,
+ *     query?: {allow?: string[], deny?: string[]},
+ *     templates?: string[],
+ *     rewrite?: function(string, Location): string,
+ *   },
+ *   consent?: {mode?: "granted"|"pending", tcf?: boolean, googleConsentMode?: boolean},
+ *   autoTrack?: false | {
+ *     pageViews?: boolean,
+ *     clicks?: boolean,
+ *     forms?: boolean,
+ *     inputs?: boolean,
+ *     customEvents?: boolean,
+ *     frustration?: boolean,
+ *     scrollDepth?: boolean,
+ *     impressions?: boolean,
+ *     heartbeat?: boolean | {intervalMs?: number, idleTimeoutMs?: number},
+ *   },
+ * }} options
  */
 async function init(options) {
   if (!options || typeof options.url !== "string") {
@@ -148,45 +384,186 @@ async function init(options) {
     );
   }
 
-  // Detect environment and configure accordingly
-  _isNextJS = detectNextJS();
-
   stopPassiveHeartbeat();
 
   BASE_URL = options.url.replace(/\/$/, "");
-  fingerprintEnabled = options.fingerprintFallback !== false;
+  _debug = options.debug || false;
+
+  // GPC / DNT opt-outs: no fingerprinting, session-only cookies and no
+  // form or input values
+  setupPrivacySignals(options.honorPrivacySignals);
+  fingerprintEnabled =
+    options.fingerprintFallback !== false && !getActivePrivacySignal();
+
+  configureRedaction(options.redaction);
+  configureFrustrationTracking(options.frustration);
+  configureScrollTracking(options.scrollDepth);
+  configureImpressionTracking(options.impressions);
+  configureSession(options.session);
+  configureUrlNormalization(options.urlNormalization);
+  // Personalize or reveal data-lp-var* elements rendered later on
+  configureAntiFlicker(options.personalization);
+  setupPersonalizationObserver(options.personalization);
+  configurePersonalizationCache((options.personalization || {}).cache);
+  configureExperiments(options.experiments);
+
+  // Without a consent option everything is granted and CMP signals are ignored
+  cleanupConsent();
+  setupConsent(
+    options.consent || {
+      mode: "granted",
+      tcf: false,
+      googleConsentMode: false,
+    },
+  );
+  if (!_unsubscribeConsent) {
+    _unsubscribeConsent = onConsentChange(_handleConsentChange);
+  }
 
-  if (fingerprintEnabled) {
-    try {
-      await initFingerprint({ debug: options.debug || false });
-    } catch (error) {
-      console.warn(
-        "Fingerprinting initialization failed, falling back to cookie-only tracking:",
-        error,
-      );
-      fingerprintEnabled = false;
-    }
+  const autoTrack = _resolveAutoTrack(options.autoTrack);
+  const heartbeatOptions = options.autoTrack && options.autoTrack.heartbeat;
+  _heartbeatIntervalMs =
+    (heartbeatOptions && heartbeatOptions.intervalMs) || 15000;
+  _idleTimeoutMs =
+    (heartbeatOptions && heartbeatOptions.idleTimeoutMs) || 30000;
+
+  _queueEnabled = options.queue !== false;
+  if (_queueEnabled) {
+    configureQueue(options.queue || {});
+  }
+  // Events queued by previous pages are only sent with analytics consent
+  if (_queueEnabled && hasConsent("analytics")) {
+    setupEventQueue(_deliverEvent);
+  } else {
+    cleanupEventQueue();
   }
 
-  let cookieVal = getCookie(CID_COOKIE_NAME);
-  if (!cookieVal) {
-    cookieVal = generateId();
-    setCookie(CID_COOKIE_NAME, cookieVal);
+  _batchEnabled = Boolean(options.batch);
+  if (_batchEnabled) {
+    const batchOptions = options.batch === true ? {} : options.batch;
+    _batchEndpoint = batchOptions.endpoint || "/events/batch";
+    _batchSupported = true;
+    setupBatching(_deliverBatch, batchOptions);
+  } else {
+    cleanupBatching();
   }
 
+  _beaconEndpoint = options.beaconEndpoint || "/events/beacon";
+  setupUnloadFlush(_flushOnUnload);
+
+  if (hasConsent("fingerprint")) {
+    await _setupFingerprint();
+  }
+
+  if (canPersist()) {
+    _ensureCidCookie();
+  }
+  captureAttribution();
+  runExperiments();
+
   await new Promise((resolve) => {
     const finalCookieVal = getCookie(CID_COOKIE_NAME);
     resolve();
   }).then(() => {
-    setupRouteTracking();
-    setupClickTracking();
-    setupFormTracking();
-    setupInputTracking();
+    _lastEventTimestamp = Date.now();
+
+    Object.keys(TRACKING_MODULES).forEach((module) => {
+      if (autoTrack[module]) {
+        TRACKING_MODULES[module].setup();
+      } else {
+        TRACKING_MODULES[module].cleanup();
+      }
+    });
   });
+}
 
-  _lastEventTimestamp = Date.now();
-  _lastHeartbeatTimestamp = Date.now(); // Reset both timestamps
-  startPassiveHeartbeat();
+/**
+ * Load FingerprintJS if fingerprint fallback is enabled.
+ * @returns {Promise<void>}
+ */
+async function _setupFingerprint() {
+  if (!fingerprintEnabled || isAvailable()) return;
+
+  try {
+    await initFingerprint({ debug: _debug });
+  } catch (error) {
+    console.warn(
+      "Fingerprinting initialization failed, falling back to cookie-only tracking:",
+      error,
+    );
+    fingerprintEnabled = false;
+  }
+}
+
+/**
+ * Make sure the LP_CID cookie exists.
+ * @returns {string} The contact ID stored in the cookie
+ */
+function _ensureCidCookie() {
+  let cookieVal = getCookie(CID_COOKIE_NAME);
+  if (!cookieVal) {
+    cookieVal = _memoryUserId || generateId();
+    setCookie(CID_COOKIE_NAME, cookieVal, getCookieOptions());
+  }
+  return cookieVal;
+}
+
+/**
+ * React to consent decisions: flush or drop events held while analytics
+ * consent was pending, and start the features that were waiting on consent.
+ * @param {Object} state
+ * @param {Object} previous
+ */
+function _handleConsentChange(state, previous) {
+  if (!BASE_URL) return;
+
+  if (canPersist()) {
+    _ensureCidCookie();
+    // Persist the attribution captured while cookies were not allowed
+    captureAttribution();
+  }
+  if (state.personalization && !previous.personalization) {
+    runExperiments();
+  }
+  if (state.personalization === false) {
+    clearPersonalizationCache();
+  }
+
+  if (state.fingerprint && !previous.fingerprint) {
+    _setupFingerprint();
+  }
+
+  if (state.analytics && !previous.analytics && _queueEnabled) {
+    setupEventQueue(_deliverEvent);
+  }
+  if (state.analytics === false && previous.analytics !== false) {
+    // Nothing collected before the denial may be sent anymore
+    cleanupEventQueue();
+    clearEventQueue();
+    takeBatch().forEach((entry) => entry.resolve());
+  }
+
+  if (state.analytics !== null && previous.analytics === null) {
+    const buffered = _consentBuffer;
+    _consentBuffer = [];
+    if (state.analytics) {
+      buffered.forEach((payload) => {
+        _dispatchEvent(payload).catch((err) => {
+          console.error("Failed to send event held for consent:", err);
+        });
+      });
+    }
+  }
+
+  if (state.personalization !== null && _deferredPersonalization) {
+    const { callback } = _deferredPersonalization;
+    _deferredPersonalization = null;
+    if (state.personalization) {
+      personalize(callback).catch(() => {
+        // personalize() already logs its errors
+      });
+    }
+  }
 }
 
 /**
@@ -199,7 +576,7 @@ async function getUserId() {
     return cookieVal;
   }
 
-  if (fingerprintEnabled && isAvailable()) {
+  if (fingerprintEnabled && hasConsent("fingerprint") && isAvailable()) {
     try {
       const fingerprintId = getVisitorId();
       if (fingerprintId) {
@@ -210,49 +587,37 @@ async function getUserId() {
     }
   }
 
-  if (!cookieVal) {
-    cookieVal = generateId();
-    setCookie(CID_COOKIE_NAME, cookieVal);
+  if (!canPersist()) {
+    // Keep the ID for this page only until cookies are allowed
+    if (!_memoryUserId) {
+      _memoryUserId = generateId();
+    }
+    return _memoryUserId;
   }
 
-  return cookieVal;
+  return _ensureCidCookie();
 }
 
 /**
- * Send an event payload to POST <baseUrl>/events, including LP_COOKIE in header.
- * @param {string} name
- * @param {any} data
- * @returns {Promise<any>}
+ * Build an error for failures worth retrying later (network, 5xx, 429).
+ * @param {string} message
+ * @returns {Error}
  */
-async function sendEvent(name, data) {
-  if (!BASE_URL) {
-    throw new Error(
-      "Liftpilot Event Tracking is not initialized. Call init() first.",
-    );
-  }
-  if (!name || typeof name !== "string") {
-    return Promise.reject(new Error("Event name must be a non-empty string"));
-  }
+function _retryableError(message) {
+  const error = new Error(message);
+  error.retryable = true;
+  return error;
+}
 
-  const visitId = generateVisitId();
+/**
+ * Resolve the identity headers sent with every event request.
+ * @returns {Promise<{headers: Object, userId: string, aid: string|null}>}
+ */
+async function _getIdentityHeaders() {
   const userId = await getUserId();
   const aid = getCookie(AID_COOKIE_NAME);
   const enforcedIp = getCookie(ENFORCE_IP_COOKIE_NAME);
 
-  let eventData;
-  if (
-    data === null ||
-    data === undefined ||
-    typeof data !== "object" ||
-    Array.isArray(data)
-  ) {
-    eventData = { value: data, visitId };
-  } else {
-    eventData = { ...data, visitId };
-  }
-
-  const payload = { name, value: eventData };
-
   const headers = {
     "Content-Type": "application/json",
     "x-cid": userId,
@@ -266,32 +631,335 @@ async function sendEvent(name, data) {
     headers["x-ip"] = enforcedIp;
   }
 
+  _lastUserId = userId;
+  return { headers, userId, aid };
+}
+
+/**
+ * POST a JSON body and turn transport failures into retryable errors.
+ * @param {string} url
+ * @param {Object} headers
+ * @param {any} body
+ * @returns {Promise<Response>}
+ */
+async function _postEvents(url, headers, body) {
+  const serializedBody = JSON.stringify(body);
+  let res;
   try {
-    const res = await fetch(`${BASE_URL}/events`, {
+    // keepalive lets the request outlive the page, e.g. for a form_submit or
+    // link click fired right before navigation
+    res = await fetch(url, {
       method: "POST",
       headers,
-      body: JSON.stringify(payload),
+      body: serializedBody,
+      keepalive: fitsKeepalive(serializedBody),
     });
-    const responseJson = await res.json();
-    const { ok, cid: responseCid, aid: responseAid } = responseJson || {};
-    if (ok === false) {
-      throw new Error(`Failed to send event: ${res.statusText}`);
-    }
+  } catch (error) {
+    // fetch only rejects on network failures
+    throw _retryableError(
+      `Network error while sending event: ${error.message}`,
+    );
+  }
 
-    if (responseCid && responseCid !== userId) {
-      setCookie(CID_COOKIE_NAME, responseCid);
-    }
-    if (responseAid && responseAid !== aid) {
-      setCookie(AID_COOKIE_NAME, responseAid);
+  if (res.status >= 500 || res.status === 429) {
+    throw _retryableError(
+      `Failed to send event: ${res.status} ${res.statusText}`,
+    );
+  }
+
+  return res;
+}
+
+/**
+ * Read an /events response and store the cid/aid the server assigned.
+ * @param {Response} res
+ * @param {string} userId
+ * @param {string|null} aid
+ * @returns {Promise<void>}
+ */
+async function _handleEventResponse(res, userId, aid) {
+  const responseJson = await res.json();
+  const { ok, cid: responseCid, aid: responseAid } = responseJson || {};
+  if (ok === false) {
+    throw new Error(`Failed to send event: ${res.statusText}`);
+  }
+
+  if (responseCid && responseCid !== userId) {
+    setCookie(CID_COOKIE_NAME, responseCid, getCookieOptions());
+  }
+  if (responseAid && responseAid !== aid) {
+    setCookie(AID_COOKIE_NAME, responseAid, getCookieOptions());
+  }
+
+  _lastEventTimestamp = Date.now();
+}
+
+/**
+ * POST a single event payload to <baseUrl>/events with identity headers.
+ * Rejects with an error flagged `retryable` when delivery may succeed later.
+ * @param {{name: string, value: Object}} payload
+ * @returns {Promise<void>}
+ */
+async function _deliverEvent(payload) {
+  const { headers, userId, aid } = await _getIdentityHeaders();
+  const res = await _postEvents(`${BASE_URL}/events`, headers, payload);
+  await _handleEventResponse(res, userId, aid);
+}
+
+/**
+ * POST several event payloads as an array to the batch endpoint. Falls back
+ * to one request per event when the server does not accept batches.
+ * @param {Array<{name: string, value: Object}>} payloads
+ * @returns {Promise<Array<{status: string, reason?: any}>>} One settled result per payload
+ */
+async function _deliverBatch(payloads) {
+  if (!_batchSupported || payloads.length === 1) {
+    return Promise.allSettled(payloads.map(_deliverEvent));
+  }
+
+  const { headers, userId, aid } = await _getIdentityHeaders();
+  const res = await _postEvents(
+    `${BASE_URL}${_batchEndpoint}`,
+    headers,
+    payloads,
+  );
+
+  if (BATCH_REJECTED_STATUSES.includes(res.status)) {
+    // Payload too large is specific to this batch, anything else means the
+    // server does not handle batches at all
+    if (res.status !== 413) {
+      console.warn(
+        `Batch endpoint rejected events (${res.status}), falling back to single event requests`,
+      );
+      _batchSupported = false;
     }
+    return Promise.allSettled(payloads.map(_deliverEvent));
+  }
 
-    _lastEventTimestamp = Date.now();
+  await _handleEventResponse(res, userId, aid);
+  return payloads.map(() => ({ status: "fulfilled" }));
+}
+
+/**
+ * Send payloads with navigator.sendBeacon. Beacons cannot set the x-cid /
+ * x-aid / x-ip headers, so the identity travels in the body instead.
+ * @param {Array<{name: string, value: Object}>} payloads
+ * @returns {boolean} False if the beacon could not be queued
+ */
+function _sendBeaconEvents(payloads) {
+  // Must stay synchronous: read cookies directly rather than via getUserId()
+  const cid = getCookie(CID_COOKIE_NAME) || _lastUserId;
+  if (!BASE_URL || !cid) return false;
+
+  return sendBeacon(`${BASE_URL}${_beaconEndpoint}`, {
+    cid,
+    aid: getCookie(AID_COOKIE_NAME),
+    ip: getCookie(ENFORCE_IP_COOKIE_NAME),
+    events: payloads,
+  });
+}
+
+/**
+ * Build the page_leave payload with the engagement totals, or null when
+ * there is nothing new to report. Hiding the tab and then unloading the page
+ * only sends it once, coming back and leaving again sends updated totals.
+ * @returns {{name: string, value: Object}|null}
+ */
+function _getPageLeavePayload() {
+  if (!isEngagementRunning() || !hasConsent("analytics")) return null;
+
+  const data = _getEngagementData();
+  if (data.activeMs === _lastPageLeaveActiveMs) return null;
+  _lastPageLeaveActiveMs = data.activeMs;
+
+  return _buildPayload("page_leave", {
+    ...data,
+    uri: normalizeUrl(),
+  });
+}
+
+/**
+ * Flush buffered events, and send page_leave, when the page is hidden or
+ * unloaded.
+ */
+function _flushOnUnload() {
+  const entries = takeBatch();
+  const pageLeave = _getPageLeavePayload();
+  if (!entries.length && !pageLeave) return;
+
+  const payloads = entries.map((entry) => entry.payload);
+  if (pageLeave) {
+    payloads.push(pageLeave);
+  }
+  if (_sendBeaconEvents(payloads)) {
+    entries.forEach((entry) => entry.resolve());
+    return;
+  }
+
+  // Fall back to keepalive fetch requests, which can carry the headers
+  sendEntries(entries);
+  if (pageLeave) {
+    _deliverEvent(pageLeave).catch((err) => {
+      console.warn("page_leave could not be sent:", err);
+    });
+  }
+}
+
+/**
+ * Deliver a payload through the batch or single event transport, queueing it
+ * for retry when the network is unavailable.
+ * @param {{name: string, value: Object}} payload
+ * @returns {Promise<void>}
+ */
+async function _dispatchEvent(payload) {
+  if (_queueEnabled && !isOnline()) {
+    enqueueEvent(payload);
+    return;
+  }
+
+  try {
+    if (_batchEnabled) {
+      await addToBatch(payload);
+    } else {
+      await _deliverEvent(payload);
+    }
   } catch (error) {
+    if (_queueEnabled && error.retryable) {
+      console.warn("Event delivery failed, queued for retry:", error);
+      enqueueEvent(payload);
+      return;
+    }
     console.error("Error sending event:", error);
     throw error;
   }
 }
 
+/**
+ * Build an event payload, tagging it with its session and any active
+ * privacy signal.
+ * @param {string} name
+ * @param {any} data
+ * @param {Object|null} [session] - Defaults to the current session
+ * @param {number} [sequence] - Position of the event in the session
+ * @returns {{name: string, value: Object}}
+ */
+function _buildPayload(
+  name,
+  data,
+  session = getSession(),
+  sequence = session ? session.eventCount : null,
+) {
+  const sessionData = {
+    sessionId: session ? session.id : null,
+    sessionNumber: session ? session.number : null,
+    sessionSequence: sequence,
+  };
+
+  let eventData;
+  if (
+    data === null ||
+    data === undefined ||
+    typeof data !== "object" ||
+    Array.isArray(data)
+  ) {
+    eventData = { value: data, ...sessionData };
+  } else {
+    eventData = { ...data, ...sessionData };
+  }
+
+  // Let the backend apply its opt-out rules
+  const privacySignal = getActivePrivacySignal();
+  if (privacySignal) {
+    eventData.privacySignal = privacySignal;
+  }
+
+  return { name, value: eventData };
+}
+
+/**
+ * Send an event payload to POST <baseUrl>/events, including LP_COOKIE in header.
+ * Events that fail because of the network are queued and retried later. While
+ * analytics consent is pending events are held in memory, once denied they
+ * are dropped.
+ * @param {string} name
+ * @param {any} data
+ * @returns {Promise<any>}
+ */
+async function sendEvent(name, data) {
+  if (!BASE_URL) {
+    throw new Error(
+      "Liftpilot Event Tracking is not initialized. Call init() first.",
+    );
+  }
+  if (!name || typeof name !== "string") {
+    return Promise.reject(new Error("Event name must be a non-empty string"));
+  }
+
+  const isPending = isConsentPending("analytics");
+  if (!isPending && !hasConsent("analytics")) {
+    return;
+  }
+
+  const { session, previous, reason } = touchSession(canPersist());
+  const payloads = reason ? _getSessionPayloads(session, previous, reason) : [];
+  const payload = _buildPayload(name, data, session);
+
+  if (isPending) {
+    _consentBuffer.push(...payloads, payload);
+    if (_consentBuffer.length > MAX_CONSENT_BUFFER_SIZE) {
+      _consentBuffer.splice(0, _consentBuffer.length - MAX_CONSENT_BUFFER_SIZE);
+    }
+    return;
+  }
+
+  payloads.forEach((sessionPayload) => {
+    _dispatchEvent(sessionPayload).catch(() => {
+      // _dispatchEvent() already logs its errors
+    });
+  });
+  return _dispatchEvent(payload);
+}
+
+/**
+ * Build the session_end payload of the session that just expired, and the
+ * session_start payload of the new one. session_end is only known once the
+ * visitor comes back: sessions of visitors who never return have none.
+ * @param {Object} session
+ * @param {Object|null} previous
+ * @param {string} reason
+ * @returns {Array<{name: string, value: Object}>}
+ */
+function _getSessionPayloads(session, previous, reason) {
+  const payloads = [];
+  if (previous) {
+    payloads.push(
+      _buildPayload(
+        "session_end",
+        {
+          reason,
+          durationMs: previous.lastActivityAt - previous.startedAt,
+          eventCount: previous.eventCount,
+        },
+        previous,
+        previous.eventCount + 1,
+      ),
+    );
+  }
+  payloads.push(
+    _buildPayload(
+      "session_start",
+      {
+        reason,
+        uri: normalizeUrl(),
+        referrer: document.referrer || null,
+      },
+      session,
+      0,
+    ),
+  );
+  return payloads;
+}
+
 /**
  * Query events via GET <baseUrl>/events?… , including LP_COOKIE in header.
  * @param {Object} queryParams  (e.g. { name: "foo", limit: 11, offset: 0 })
@@ -415,11 +1083,12 @@ async function getEvent({ name }, callback) {
       responseJson.value &&
       typeof responseJson.value === "object"
     ) {
+      // Non-object event data is wrapped in { value } next to the metadata
+      // added by sendEvent (visitId for events sent before sessions)
       const keys = Object.keys(responseJson.value);
       if (
-        keys.length === 2 &&
         keys.includes("value") &&
-        keys.includes("visitId")
+        keys.every((key) => key === "value" || WRAPPED_EVENT_KEYS.includes(key))
       ) {
         processedResponse = responseJson.value.value;
       }
@@ -437,7 +1106,10 @@ async function getEvent({ name }, callback) {
 }
 
 /**
- * Fetch personalization data for a cid/aid
+ * Fetch personalization data for a cid/aid. A cached response of the same
+ * cid/aid is applied right away and revalidated in the background; only the
+ * keys that changed are applied again. The callback gets the cached response
+ * (with cached: true) first, then the fresh one if it differs.
  * @param {function<any>} callback
  * @returns {<{
  *   cid: string,
@@ -453,11 +1125,32 @@ async function personalize(callback) {
     );
   }
 
+  if (!hasConsent("personalization")) {
+    // Show the original content, and personalize later if consent is granted
+    if (isConsentPending("personalization")) {
+      _deferredPersonalization = { callback };
+    }
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () =>
+        _clearPersonalizationFlags("no_consent"),
+      );
+    } else {
+      _clearPersonalizationFlags("no_consent");
+    }
+    return;
+  }
+
+  let cached = null;
   try {
     const userId = await getUserId();
     const aid = getCookie(AID_COOKIE_NAME);
     const url = `${BASE_URL}/personalization`;
 
+    cached = readPersonalizationCache(userId, aid);
+    if (cached) {
+      _showPersonalization(cached, { data: cached, cached: true }, callback);
+    }
+
     const headers = {
       "Content-Type": "application/json",
       "x-cid": userId,
@@ -484,40 +1177,199 @@ async function personalize(callback) {
     const responseJson = await response.json();
 
     const { data } = responseJson;
-    const { aid: responseAid, cid: responseCid, personalization } = data || {};
+    const {
+      aid: responseAid,
+      cid: responseCid,
+      personalization,
+      traits,
+    } = data || {};
     if (responseAid) {
-      setCookie(AID_COOKIE_NAME, responseAid);
+      setCookie(AID_COOKIE_NAME, responseAid, getCookieOptions());
     }
     if (responseCid) {
-      setCookie(CID_COOKIE_NAME, responseCid);
+      setCookie(CID_COOKIE_NAME, responseCid, getCookieOptions());
     }
 
-    if (callback) {
-      callback(responseJson);
-      return;
+    // Another identity: the cached content belongs to someone else
+    if (responseAid && responseAid !== aid) {
+      clearPersonalizationCache();
+      cached = null;
     }
+    writePersonalizationCache(
+      getCookie(CID_COOKIE_NAME) || userId,
+      getCookie(AID_COOKIE_NAME),
+      data,
+    );
 
-    if (personalization) {
-      if (document.readyState === "loading") {
-        document.addEventListener("DOMContentLoaded", () => {
-          _applyPersonalization(personalization);
-        });
-      } else {
-        _applyPersonalization(personalization);
-      }
+    if (
+      cached &&
+      JSON.stringify(cached.personalization || null) ===
+        JSON.stringify(personalization || null) &&
+      JSON.stringify(cached.traits || null) === JSON.stringify(traits || null)
+    ) {
+      return;
     }
+    _showPersonalization(data, responseJson, callback, cached);
   } catch (error) {
     console.error("Error in getPersonalizationData:", error);
-    _clearPersonalizationFlags();
+    // Keep showing the cached content
+    if (!cached) {
+      _clearPersonalizationFlags();
+    }
     throw error;
   }
 }
 
+/**
+ * Hand personalization response data to the callback, or apply it.
+ * @param {Object} data - The data of the response
+ * @param {Object} responseJson - The response passed to the callback
+ * @param {function<any>} [callback]
+ * @param {Object} [previous] - The data applied before, only the keys that
+ * changed since are applied
+ */
+function _showPersonalization(data, responseJson, callback, previous) {
+  const { personalization, traits } = data || {};
+  setResponseTraits(traits);
+  _setPersonalization(personalization);
+
+  if (callback) {
+    callback(responseJson);
+    return;
+  }
+  if (!personalization) return;
+
+  const apply = () => {
+    if (!previous) {
+      _applyPersonalization(
+        personalization,
+        document,
+        responseJson.cached ? "cached" : "applied",
+      );
+      return;
+    }
+    // Templates may use any trait, changed traits update everything
+    if (JSON.stringify(previous.traits) !== JSON.stringify(traits)) {
+      _applyPersonalization(personalization);
+      return;
+    }
+    const before = previous.personalization || {};
+    const changedKeys = Object.keys({ ...before, ...personalization }).filter(
+      (key) =>
+        JSON.stringify(before[key]) !== JSON.stringify(personalization[key]),
+    );
+    _patchPersonalization(personalization, changedKeys);
+  };
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", apply);
+  } else {
+    apply();
+  }
+}
+
+/**
+ * Remove the cached personalization response, e.g. on logout. The next
+ * personalize() call waits for fresh data.
+ */
+function clearCache() {
+  clearPersonalizationCache();
+}
+
+/**
+ * Store the personalization data and notify the listeners.
+ * @param {Object} [personalization]
+ */
+function _setPersonalization(personalization) {
+  _personalization = personalization || {};
+  _personalizationListeners.forEach((listener) => {
+    try {
+      listener(_personalization);
+    } catch (error) {
+      console.error("Personalization listener failed:", error);
+    }
+  });
+}
+
+/**
+ * Get the personalization data of the last personalize() call.
+ * @param {string} [key] - A personalization key, e.g. "hero-title"
+ * @returns {any} The value of key, or all data without a key. Undefined
+ * until personalization data has been received.
+ */
+function getPersonalization(key) {
+  if (!_personalization) return undefined;
+  return key === undefined ? _personalization : _personalization[key];
+}
+
+/**
+ * Register a listener called with the personalization data every time it is
+ * received.
+ * @param {function(Object): void} listener
+ * @returns {function(): void} Unsubscribe function
+ */
+function onPersonalization(listener) {
+  _personalizationListeners.push(listener);
+  return () => {
+    _personalizationListeners = _personalizationListeners.filter(
+      (item) => item !== listener,
+    );
+  };
+}
+
+/**
+ * Apply the last personalization data again, without fetching it, e.g. to
+ * elements rendered by a client-side navigation.
+ * @returns {boolean} False if no personalization data was received yet
+ */
+function applyPersonalization() {
+  if (!_personalization) return false;
+  _applyPersonalization(_personalization);
+  return true;
+}
+
+/**
+ * Set traits known on the page, e.g. the logged-in user's first name, for
+ * templated copy like "Welcome back, {{firstName|there}}". They take
+ * precedence over the traits of the personalization response, stay in memory
+ * only and are never sent. Applied content is rendered again.
+ * @param {Object|null} traits - Merged with the traits set before, null
+ * clears them
+ */
+function setTraits(traits) {
+  setLocalTraits(traits);
+  _refreshPersonalization();
+}
+
+/**
+ * Track a page view manually, for router integrations that run with
+ * autoTrack.pageViews disabled. Repeated calls for the same URL are ignored.
+ */
+function trackPageView() {
+  if (!BASE_URL) {
+    throw new Error(
+      "Liftpilot Event Tracking is not initialized. Call init() first.",
+    );
+  }
+  _trackPageView();
+}
+
 export {
   init,
   sendEvent,
   getEvents,
   getEvent,
   personalize,
+  getPersonalization,
+  onPersonalization,
+  applyPersonalization,
+  setTraits,
+  getExperimentVariant,
+  clearCache,
+  trackPageView,
   stopPassiveHeartbeat,
+  getQueueStats,
+  enable,
+  disable,
+  setConsent,
+  getConsent,
 };
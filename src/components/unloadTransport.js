@@ -0,0 +1,119 @@
+/**
+ * Delivery helpers for when the page is being hidden or unloaded, where a
+ * regular fetch is likely to be cancelled by the browser.
+ * @module unloadTransport
+ */
+
+// Browsers cap the total size of in-flight keepalive requests at 64KB
+const KEEPALIVE_MAX_BYTES = 60000;
+
+let _initialized = false;
+let _cleanup = null;
+
+// UTF-8 size of a string: the limit is in bytes, not characters
+function getByteLength(text) {
+  if (typeof Blob !== "undefined") {
+    return new Blob([text]).size;
+  }
+  let bytes = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (
+      code >= 0xd800 &&
+      code < 0xdc00 &&
+      text.charCodeAt(i + 1) >= 0xdc00 &&
+      text.charCodeAt(i + 1) < 0xe000
+    ) {
+      // Surrogate pair, one 4-byte character
+      bytes += 4;
+      i++;
+    } else {
+      bytes += 3;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Check whether a request body is small enough for `fetch({ keepalive: true })`.
+ * @param {string} body - Serialized request body
+ * @returns {boolean}
+ */
+function fitsKeepalive(body) {
+  return typeof body === "string" && getByteLength(body) < KEEPALIVE_MAX_BYTES;
+}
+
+/**
+ * Queue a POST with navigator.sendBeacon. The body is sent as text/plain so
+ * the request stays a CORS "simple request" (beacons cannot be preflighted).
+ * @param {string} url
+ * @param {Object} body
+ * @returns {boolean} False if the beacon could not be queued
+ */
+function sendBeacon(url, body) {
+  if (typeof navigator === "undefined" || !navigator.sendBeacon) {
+    return false;
+  }
+  try {
+    const blob = new Blob([JSON.stringify(body)], {
+      type: "text/plain;charset=UTF-8",
+    });
+    return navigator.sendBeacon(url, blob);
+  } catch (error) {
+    console.warn("sendBeacon failed:", error);
+    return false;
+  }
+}
+
+/**
+ * Call `onUnload` whenever the page is hidden or about to be unloaded.
+ * `pagehide` covers navigations (and bfcache), `visibilitychange` covers tab
+ * switches and mobile app switching, where pagehide often never fires.
+ * @param {function(): void} onUnload - Must work synchronously
+ */
+function setupUnloadFlush(onUnload) {
+  if (_initialized) return;
+
+  try {
+    if (!window.addEventListener) {
+      console.warn("Unload flushing requires addEventListener support.");
+      return;
+    }
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") {
+        onUnload();
+      }
+    };
+
+    window.addEventListener("pagehide", onUnload);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    _initialized = true;
+
+    _cleanup = () => {
+      if (!_initialized) return;
+      window.removeEventListener("pagehide", onUnload);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      _initialized = false;
+      _cleanup = null;
+    };
+  } catch (error) {
+    console.error("Error setting up unload flushing:", error);
+    if (_cleanup) {
+      _cleanup();
+    }
+  }
+}
+
+function cleanupUnloadFlush() {
+  if (_cleanup) {
+    _cleanup();
+  }
+}
+
+export { fitsKeepalive, sendBeacon, setupUnloadFlush, cleanupUnloadFlush };
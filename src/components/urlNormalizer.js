@@ -0,0 +1,125 @@
+/**
+ * URL normalization for page views: hash routing, query parameter filtering,
+ * path templates and a custom rewrite hook.
+ * @module urlNormalizer
+ */
+
+const DEFAULT_OPTIONS = {
+  hashRouting: false,
+  query: { allow: [], deny: [] },
+  templates: [],
+  rewrite: null,
+};
+
+let _options = DEFAULT_OPTIONS;
+let _templates = [];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Compile "/users/:id" into a RegExp matching "/users/42" (and "/users/42/")
+// A trailing "*" matches the rest of the path
+function compileTemplate(template) {
+  const source = template
+    .replace(/\/+$/, "")
+    .split("/")
+    .map((segment) => {
+      if (segment === "*") return ".*";
+      if (segment.charAt(0) === ":") return "[^/]+";
+      return escapeRegExp(segment);
+    })
+    .join("/");
+  return { template, regex: new RegExp(`^${source}/?$`) };
+}
+
+/**
+ * Configure how page URLs are normalized before being sent.
+ * @param {{
+ *   hashRouting?: boolean,
+ *   query?: {allow?: string[], deny?: string[]},
+ *   templates?: string[],
+ *   rewrite?: function(string, Location): string,
+ * }} [options]
+ */
+function configureUrlNormalization(options = {}) {
+  _options = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    query: { ...DEFAULT_OPTIONS.query, ...(options.query || {}) },
+  };
+  _templates = (_options.templates || []).map(compileTemplate);
+}
+
+// Split the route into path and query, from the hash with hash routing
+function getRoute(location) {
+  if (_options.hashRouting && /^#!?\//.test(location.hash)) {
+    const route = location.hash.replace(/^#!?/, "");
+    const queryIndex = route.indexOf("?");
+    if (queryIndex !== -1) {
+      return {
+        path: route.slice(0, queryIndex),
+        search: `${location.search}&${route.slice(queryIndex + 1)}`,
+      };
+    }
+    return { path: route, search: location.search };
+  }
+  return { path: location.pathname, search: location.search };
+}
+
+function applyTemplates(path) {
+  for (let i = 0; i < _templates.length; i++) {
+    if (_templates[i].regex.test(path)) {
+      return _templates[i].template;
+    }
+  }
+  return path;
+}
+
+// With an allowlist only those parameters are kept, with only a denylist
+// everything else is, and with neither the query string is dropped.
+// Parameters are sorted so equivalent URLs match.
+function filterQuery(search) {
+  const { allow, deny } = _options.query;
+  if (!allow.length && !deny.length) return "";
+
+  const params = new URLSearchParams(search.replace(/^\?/, ""));
+  const kept = [];
+  params.forEach((value, name) => {
+    const isAllowed = !allow.length || allow.indexOf(name) !== -1;
+    if (isAllowed && deny.indexOf(name) === -1) {
+      kept.push([name, value]);
+    }
+  });
+  kept.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+  const query = new URLSearchParams();
+  kept.forEach(([name, value]) => query.append(name, value));
+  const serialized = query.toString();
+  return serialized ? `?${serialized}` : "";
+}
+
+/**
+ * Normalize a location into the uri sent with page views. Without options
+ * this is the pathname alone.
+ * @param {Location} [location]
+ * @returns {string}
+ */
+function normalizeUrl(location = window.location) {
+  const { path, search } = getRoute(location);
+  const uri = `${applyTemplates(path || "/")}${filterQuery(search)}`;
+
+  if (typeof _options.rewrite === "function") {
+    try {
+      const rewritten = _options.rewrite(uri, location);
+      if (typeof rewritten === "string") {
+        return rewritten;
+      }
+    } catch (error) {
+      console.error("URL rewrite hook failed:", error);
+    }
+  }
+  return uri;
+}
+
+export { configureUrlNormalization, normalizeUrl };
@@ -0,0 +1,115 @@
+/**
+ * Shared IntersectionObserver wrapper calling back once an element has been
+ * visible enough, for long enough.
+ * @module viewObserver
+ */
+
+// One IntersectionObserver per threshold, shared by every watch using it
+const _observers = new Map();
+// Element -> active watches on that element
+const _watches = new WeakMap();
+
+function isSupported() {
+  return typeof window !== "undefined" && "IntersectionObserver" in window;
+}
+
+function removeWatch(watch) {
+  if (watch.timer) {
+    clearTimeout(watch.timer);
+    watch.timer = null;
+  }
+
+  const watches = (_watches.get(watch.element) || []).filter(
+    (item) => item !== watch,
+  );
+  if (watches.length) {
+    _watches.set(watch.element, watches);
+  } else {
+    _watches.delete(watch.element);
+  }
+
+  // Stop observing once no watch on this element uses the observer
+  if (!watches.some((item) => item.threshold === watch.threshold)) {
+    const observer = _observers.get(watch.threshold);
+    if (observer) {
+      observer.unobserve(watch.element);
+    }
+  }
+}
+
+function handleEntries(entries, threshold) {
+  entries.forEach((entry) => {
+    const watches = (_watches.get(entry.target) || []).filter(
+      (watch) => watch.threshold === threshold,
+    );
+    const isVisible =
+      entry.isIntersecting && entry.intersectionRatio >= threshold;
+
+    watches.forEach((watch) => {
+      if (!isVisible) {
+        // Left the viewport before the dwell time: start over next time
+        if (watch.timer) {
+          clearTimeout(watch.timer);
+          watch.timer = null;
+        }
+        return;
+      }
+      if (watch.timer) return;
+
+      watch.timer = setTimeout(() => {
+        watch.timer = null;
+        removeWatch(watch);
+        watch.onView(watch.element);
+      }, watch.minVisibleMs);
+    });
+  });
+}
+
+// Elements taller than the viewport can't reach a share of their height
+// larger than the viewport: for those, covering the same share of the
+// viewport is enough
+function capThreshold(element, threshold) {
+  const height = element.getBoundingClientRect().height;
+  if (!height || !window.innerHeight) return threshold;
+  const capped = (window.innerHeight * threshold) / height;
+  // Rounded so similar elements share an IntersectionObserver
+  return Math.max(0.01, Math.min(threshold, Math.floor(capped * 100) / 100));
+}
+
+function getObserver(threshold) {
+  if (!_observers.has(threshold)) {
+    _observers.set(
+      threshold,
+      new IntersectionObserver((entries) => handleEntries(entries, threshold), {
+        threshold,
+      }),
+    );
+  }
+  return _observers.get(threshold);
+}
+
+/**
+ * Call `onView` once when the element has been at least `threshold` visible
+ * for `minVisibleMs` without interruption. For elements taller than the
+ * viewport, covering `threshold` of the viewport is enough.
+ * @param {Element} element
+ * @param {{threshold?: number, minVisibleMs?: number}} options
+ * @param {function(Element): void} onView
+ * @returns {function(): void} Stops watching the element
+ */
+function observeView(element, options, onView) {
+  if (!isSupported()) {
+    return () => {};
+  }
+
+  const { threshold: requested = 0.5, minVisibleMs = 0 } = options || {};
+  const threshold = capThreshold(element, requested);
+  const watch = { element, threshold, minVisibleMs, onView, timer: null };
+
+  _watches.set(element, (_watches.get(element) || []).concat(watch));
+  getObserver(threshold).observe(element);
+
+  return () => removeWatch(watch);
+}
+
+export { observeView, isSupported as isViewObserverSupported };
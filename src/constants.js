@@ -2,6 +2,34 @@ const CID_COOKIE_NAME = "LP_CID";
 const AID_COOKIE_NAME = "LP_AID";
 const ENFORCE_IP_COOKIE_NAME = "LP_ENFORCE_IP";
 
+const EVENT_QUEUE_STORAGE_KEY = "LP_EVENT_QUEUE";
+const PERSONALIZATION_CACHE_STORAGE_KEY = "LP_PERSONALIZATION_CACHE";
+
+const SESSION_COOKIE_NAME = "LP_SESSION";
+const SESSION_NUMBER_COOKIE_NAME = "LP_SESSION_NUMBER";
+const SESSION_STORAGE_KEY = "LP_SESSION";
+
+const FIRST_TOUCH_COOKIE_NAME = "LP_FIRST_TOUCH";
+const LAST_TOUCH_COOKIE_NAME = "LP_LAST_TOUCH";
+
+const EXPERIMENTS_COOKIE_NAME = "LP_EXPERIMENTS";
+
+const REDACT_ATTRIBUTE = "data-lp-redact";
+const ALLOW_VALUE_ATTRIBUTE = "data-lp-allow";
+const HASH_ATTRIBUTE = "data-lp-hash";
+const REDACTED_VALUE = "[REDACTED]";
+
+const IGNORE_ATTRIBUTE = "data-lp-ignore";
+const MASK_ATTRIBUTE = "data-lp-mask";
+const NO_VALUE_ATTRIBUTE = "data-lp-no-value";
+
+const EVENT_ATTRIBUTE = "data-lp-event";
+const EVENT_PROPERTY_PREFIX = "data-lp-prop-";
+const EVENT_TRIGGER_ATTRIBUTE = "data-lp-trigger";
+
+const REGION_ATTRIBUTE = "data-lp-region";
+const SCROLL_CONTAINER_ATTRIBUTE = "data-lp-scroll-container";
+
 const PERSONALIZATION_ATTRIBUTE = "data-lp-var";
 const PERSONALIZATION_ATTRIBUTE_COPY = "data-lp-var-copy";
 const PERSONALIZATION_ATTRIBUTE_SRC = "data-lp-var-src";
@@ -15,17 +43,49 @@ const ALL_PERSONALIZATION_ATTRIBUTES = [
   PERSONALIZATION_ATTRIBUTE,
   ...CUSTOM_PERSONALIZATION_ATTRIBUTES,
 ];
+// Matches every personalized element
+const PERSONALIZATION_SELECTOR = ALL_PERSONALIZATION_ATTRIBUTES.map(
+  (attr) => `[${attr}]`,
+).join(",");
 const PERSONALIZATION_FLAG = "data-lp-var-ready";
+// Elements rendered later, hidden until personalized or their timeout
+const PERSONALIZATION_PENDING_ATTRIBUTE = "data-lp-var-pending";
+const PERSONALIZATION_VARIANT_ATTRIBUTE = "data-lp-variant";
+const IMPRESSION_ATTRIBUTE = "data-lp-impression";
 
 export {
   CID_COOKIE_NAME,
   AID_COOKIE_NAME,
   ENFORCE_IP_COOKIE_NAME,
+  EVENT_QUEUE_STORAGE_KEY,
+  PERSONALIZATION_CACHE_STORAGE_KEY,
+  SESSION_COOKIE_NAME,
+  SESSION_NUMBER_COOKIE_NAME,
+  SESSION_STORAGE_KEY,
+  FIRST_TOUCH_COOKIE_NAME,
+  LAST_TOUCH_COOKIE_NAME,
+  EXPERIMENTS_COOKIE_NAME,
+  REDACT_ATTRIBUTE,
+  ALLOW_VALUE_ATTRIBUTE,
+  HASH_ATTRIBUTE,
+  REDACTED_VALUE,
+  IGNORE_ATTRIBUTE,
+  MASK_ATTRIBUTE,
+  NO_VALUE_ATTRIBUTE,
+  EVENT_ATTRIBUTE,
+  EVENT_PROPERTY_PREFIX,
+  EVENT_TRIGGER_ATTRIBUTE,
+  REGION_ATTRIBUTE,
+  SCROLL_CONTAINER_ATTRIBUTE,
   PERSONALIZATION_ATTRIBUTE,
   PERSONALIZATION_ATTRIBUTE_COPY,
   PERSONALIZATION_ATTRIBUTE_SRC,
   PERSONALIZATION_ATTRIBUTE_HREF,
   CUSTOM_PERSONALIZATION_ATTRIBUTES,
   ALL_PERSONALIZATION_ATTRIBUTES,
+  PERSONALIZATION_SELECTOR,
   PERSONALIZATION_FLAG,
+  PERSONALIZATION_PENDING_ATTRIBUTE,
+  PERSONALIZATION_VARIANT_ATTRIBUTE,
+  IMPRESSION_ATTRIBUTE,
 };
@@ -8,15 +8,39 @@ import {
   getEvents,
   getEvent,
   personalize,
+  getPersonalization,
+  onPersonalization,
+  applyPersonalization,
+  setTraits,
+  getExperimentVariant,
+  clearCache,
+  trackPageView,
+  getQueueStats,
+  enable,
+  disable,
+  setConsent,
+  getConsent,
 } from "./components/trackerCore.js";
 
-// Expose these three methods on window.LPTracker
+// The public API, exposed on window.LPTracker
 const LPTracker = {
   init,
   sendEvent,
   getEvents,
   getEvent,
   personalize,
+  getPersonalization,
+  onPersonalization,
+  applyPersonalization,
+  setTraits,
+  getExperimentVariant,
+  clearCache,
+  trackPageView,
+  getQueueStats,
+  enable,
+  disable,
+  setConsent,
+  getConsent,
 };
 window.LPTracker = LPTracker;
 export default LPTracker;